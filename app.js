@@ -2,74 +2,25 @@
 
 // ── Positions (from pre-exported JSON) ────────────────────────────────────────
 
+// Parsed by the shared loader in positions.js — fetched once for both tabs —
+// then folded into blocks and linked put/call structures (aggregateBlocks).
 async function fetchPutFlowData(ticker) {
-  const res = await fetch('./positions.json');
-  if (!res.ok) {
-    if (res.status === 404) {
-      throw new Error('positions.json not found — run fetch_premiums.py first');
-    }
-    throw new Error(`Failed to load positions.json: HTTP ${res.status}`);
-  }
-
-  const all = await res.json();
-  return all
-    .filter(p => String(p.symbol ?? '').trim().toUpperCase() === ticker)
-    .map(p => {
-      const strikeRaw = String(p.strike ?? '');
-      const spread    = strikeRaw.includes('/');
-
-      let strike, leg1Strike, leg2Strike, netLabel;
-      if (spread) {
-        const parts = strikeRaw.replace(/[CP]/gi, '').split('/').map(s => parseFloat(s.trim()));
-        parts.sort((a, b) => a - b);
-        leg1Strike = parts[0];
-        leg2Strike = parts[1];
-        strike     = strikeRaw;                   // raw string for display e.g. "140/230C"
-        netLabel   = p.net_label ?? '';
-      } else {
-        strike = parseFloat(strikeRaw);
-      }
-
-      // Spreads: use net_premium for notional; single legs: use original_premium.
-      const orig = spread
-        ? parseFloat(p.net_premium ?? p.original_premium)
-        : parseFloat(p.original_premium ?? p.current_premium ?? p.premium);
-      const curr = parseFloat(p.current_premium ?? p.premium);
-
-      return {
-        strike,
-        leg1Strike,
-        leg2Strike,
-        isSpread:        spread,
-        netLabel,
-        expiry:          parseDate(p.expiry),
-        contracts:       parseInt(p.contracts),
-        originalPremium: orig,
-        currentPremium:  curr,
-        tradeDate:       parseDate(p.trade_date),
-        type:            (p.type ?? 'put').toLowerCase(),
-      };
-    })
-    .filter(d => {
-      const strikeOk = d.isSpread
-        ? isFinite(d.leg1Strike) && isFinite(d.leg2Strike)
-        : isFinite(d.strike);
-      return (
-        strikeOk && isFinite(d.contracts) && isFinite(d.originalPremium) &&
-        d.expiry instanceof Date && d.tradeDate instanceof Date &&
-        d.expiry > d.tradeDate
-      );
-    });
+  const { positions } = await loadPositions();
+  return aggregateBlocks(positions.filter(p => p.symbol === ticker));
 }
 
 // ── Yahoo Finance ──────────────────────────────────────────────────────────────
 
-async function fetchOHLCV(ticker) {
-  const now   = Math.floor(Date.now() / 1000);
-  const start = now - 2 * 365 * 24 * 3600;  // 2 years back
-  const end   = now + 2   * 24 * 3600;      // 2-day buffer for timezone edge cases
+// Daily bars are keyed by 'YYYY-MM-DD'. Intraday bars are UTC timestamps
+// shifted by the exchange's gmtoffset, so the time axis reads in exchange-local
+// time and a bar's UTC calendar date is its trading day. Served from the
+// IndexedDB cache (cache.js) while fresh, and from any cached copy offline.
+function fetchOHLCV(ticker, interval = '1d') {
+  return cachedBars(`${ticker}|${interval}`, interval, () => downloadOHLCV(ticker, interval));
+}
 
-  const url = `${CONFIG.AI_WORKER}/ohlcv?ticker=${encodeURIComponent(ticker)}`;
+async function downloadOHLCV(ticker, interval) {
+  const url = `${CONFIG.AI_WORKER}/ohlcv?ticker=${encodeURIComponent(ticker)}&interval=${interval}`;
 
   let res;
   try {
@@ -89,14 +40,16 @@ async function fetchOHLCV(ticker) {
 
   const timestamps = result.timestamp ?? [];
   const q          = result.indicators?.quote?.[0] ?? {};
+  const gmtOffset  = result.meta?.gmtoffset ?? 0;
 
   return timestamps
     .map((t, i) => ({
-      time:  tsToDateStr(t),
+      time:  interval === '1d' ? tsToDateStr(t) : t + gmtOffset,
       open:  q.open?.[i],
       high:  q.high?.[i],
       low:   q.low?.[i],
       close: q.close?.[i],
+      volume: q.volume?.[i] ?? 0,
     }))
     .filter(d => d.open != null && d.high != null && d.low != null && d.close != null);
 }
@@ -107,28 +60,6 @@ function cleanNum(v) {
   return parseFloat(String(v ?? '').replace(/[$,%\s,]/g, ''));
 }
 
-function parseDate(raw) {
-  if (raw == null) return null;
-  const s = String(raw).trim();
-
-  // MM/DD/YYYY or M/D/YYYY
-  const mdy = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
-  if (mdy) {
-    let yr = +mdy[3];
-    if (yr < 100) yr += 2000;
-    return new Date(yr, +mdy[1] - 1, +mdy[2]);
-  }
-
-  // YYYY-MM-DD — treat as local (not UTC) to avoid off-by-one
-  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3]);
-
-  // Fallback: native parse, normalise to local midnight
-  const d = new Date(s);
-  if (!isNaN(d)) return new Date(d.getFullYear(), d.getMonth(), d.getDate());
-  return null;
-}
-
 function tsToDateStr(ts) {
   const d = new Date(ts * 1000);
   return [
@@ -146,17 +77,57 @@ function dateToStr(d) {
   ].join('-');
 }
 
+function isIntraday() {
+  return _currentInterval !== '1d';
+}
+
+// Chart time for a calendar date: 'YYYY-MM-DD' on daily bars, or the UTC
+// midnight timestamp of that date on intraday bars (see fetchOHLCV).
+function toChartTime(d) {
+  if (!isIntraday()) return dateToStr(d);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / 1000;
+}
+
+// Trading day ('YYYY-MM-DD') of a bar time in either format. Also accepts a
+// stringified timestamp (flow-marker keys, see addFlowMarkers).
+function barDay(time) {
+  return /^\d+$/.test(time) ? tsToDateStr(+time) : time;
+}
+
+// Chart time for a line endpoint on date `d`. Intraday data has no bar at
+// midnight and only covers weeks, so dates inside (or before) the loaded bars
+// snap to the day's first bar instead of adding an empty slot to the axis.
+function snapTime(d) {
+  if (!isIntraday() || !_lastOhlcv?.length) return toChartTime(d);
+  const day = dateToStr(d);
+  return _lastOhlcv.find(b => barDay(b.time) >= day)?.time ?? toChartTime(d);
+}
+
+// Two-point horizontal line from date `from` to date `to`. Empty when both
+// ends snap to the same intraday bar (the span predates the loaded data).
+function linePoints(from, to, value) {
+  const t0 = snapTime(from);
+  const t1 = snapTime(to);
+  return t0 < t1 ? [{ time: t0, value }, { time: t1, value }] : [];
+}
+
+// Reference "today" for the chart tab: the as-of date when time-travel mode is
+// on, otherwise local midnight today. Returns a fresh Date each call.
+function asOfDate() {
+  const d = _asOf ? new Date(_asOf) : new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
 function getDTE(expiry) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const today = asOfDate();
   const exp = new Date(expiry.getFullYear(), expiry.getMonth(), expiry.getDate());
   return Math.floor((exp - today) / 86_400_000);
 }
 
-// Visible right endpoint of each line (where label sits): today + 30 days.
+// Visible right endpoint of each line (where label sits): as-of + 30 days.
 function lineEndDate() {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
+  const d = asOfDate();
   d.setDate(d.getDate() + 30);
   return d;
 }
@@ -166,21 +137,25 @@ function lineEndDate() {
 // series. Clamping to 90 days prevents far-dated expiries (e.g. 2028) from
 // stretching the chart to years of empty whitespace.
 function lineFarDate() {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
+  const d = asOfDate();
   d.setDate(d.getDate() + 60);
   return d;
 }
 
-// Set the visible time window. `months` is how much history to show;
-// the right edge is always today + 90 days (the future anchor).
+// Trading days of history shown per intraday interval.
+const INTRADAY_DAYS = { '5m': 5, '15m': 10, '1h': 30 };
+
+// Set the visible time window. `months` is how much history to show on daily
+// bars; intraday intervals use INTRADAY_DAYS instead. The right edge is always
+// as-of + 60 days (lineFarDate).
 function applyTimeframe(months) {
   if (!_chart) return;
-  const today = new Date(); today.setHours(0, 0, 0, 0);
+  const today = asOfDate();
   const from  = new Date(today);
-  from.setMonth(from.getMonth() - months);
+  if (isIntraday()) from.setDate(from.getDate() - INTRADAY_DAYS[_currentInterval]);
+  else from.setMonth(from.getMonth() - months);
   const to = lineFarDate(); // today + 90 days
-  _chart.timeScale().setVisibleRange({ from: dateToStr(from), to: dateToStr(to) });
+  _chart.timeScale().setVisibleRange({ from: toChartTime(from), to: toChartTime(to) });
 }
 
 function dteColor(dte) {
@@ -204,18 +179,236 @@ function fmtMoney(v) {
   return `$${v.toFixed(0)}`;
 }
 
+// Text from positions.json or user input, made safe for innerHTML and attributes
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// ── Position filter ───────────────────────────────────────────────────────────
+// Null bounds are open. Moneyness is the strike's % distance from the as-of
+// close. `types.put` / `types.call` select the side (spreads included);
+// `types.spread` additionally gates every spread. DTE bounds only apply to
+// positions that are still live, so the EXPIRED tab is unaffected by them.
+
+const FILTER_STORAGE_KEY  = 'chart_filter';
+const PRESET_STORAGE_KEY  = 'chart_filter_presets';
+
+// The two built-ins reproduce the old >$1M / ALL toggle.
+const BUILTIN_PRESETS = {
+  '>$1M': {
+    minNotional: 1_000_000, maxNotional: null, minDTE: null, maxDTE: null,
+    minMoneyness: null, maxMoneyness: null,
+    types: { put: true, call: true, spread: true },
+    tradeFrom: null, tradeTo: null, maxLines: 8,
+  },
+  'ALL': {
+    minNotional: null, maxNotional: null, minDTE: null, maxDTE: null,
+    minMoneyness: -60, maxMoneyness: 60,
+    types: { put: true, call: true, spread: true },
+    tradeFrom: null, tradeTo: null, maxLines: 8,
+  },
+};
+
+function cloneFilter(f) {
+  return { ...f, types: { ...f.types } };
+}
+
+function loadFilter() {
+  const base = cloneFilter(BUILTIN_PRESETS['>$1M']);
+  try {
+    const saved = JSON.parse(localStorage.getItem(FILTER_STORAGE_KEY) ?? 'null');
+    return saved ? { ...base, ...saved, types: { ...base.types, ...saved.types } } : base;
+  } catch {
+    return base;
+  }
+}
+
+function saveFilter() {
+  localStorage.setItem(FILTER_STORAGE_KEY, JSON.stringify(_filter));
+}
+
+function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) ?? '{}');
+  } catch {
+    return {};
+  }
+}
+
+function savePresets(presets) {
+  localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+function positionPassesFilter(p, lastPrice) {
+  const f = _filter;
+  const side = p.type === 'call' ? 'call' : 'put';
+  if (!f.types[side]) return false;
+  if (p.isSpread && !f.types.spread) return false;
+
+  const notional = p.contracts * p.originalPremium * 100;
+  if (f.minNotional != null && notional < f.minNotional) return false;
+  if (f.maxNotional != null && notional > f.maxNotional) return false;
+
+  const dte = getDTE(p.expiry);
+  if (dte >= 0) {
+    if (f.minDTE != null && dte < f.minDTE) return false;
+    if (f.maxDTE != null && dte > f.maxDTE) return false;
+  }
+
+  if (lastPrice > 0 && (f.minMoneyness != null || f.maxMoneyness != null)) {
+    const m = (strikeRef(p) - lastPrice) / lastPrice * 100;
+    if (f.minMoneyness != null && m < f.minMoneyness) return false;
+    if (f.maxMoneyness != null && m > f.maxMoneyness) return false;
+  }
+
+  const traded = dateToStr(p.tradeDate);
+  if (f.tradeFrom && traded < f.tradeFrom) return false;
+  if (f.tradeTo   && traded > f.tradeTo)   return false;
+  return true;
+}
+
+// Short summary for the toolbar button, e.g. ">$1M · 8" or "ALL · 8".
+function filterSummary() {
+  const f = _filter;
+  const head = f.minNotional ? `>${fmtMoney(f.minNotional).replace('.0M', 'M')}` : 'ALL';
+  const extras = [
+    f.maxNotional != null, f.minDTE != null, f.maxDTE != null,
+    f.tradeFrom, f.tradeTo, !f.types.spread,
+  ].filter(Boolean).length;
+  return `${head} · ${f.maxLines}${extras ? ' +' + extras : ''} ▾`;
+}
+
+// Panel inputs are in display units: notional in $M, moneyness in %.
+const FILTER_FIELDS = [
+  { id: 'flt-min-notional', key: 'minNotional',  scale: 1e6 },
+  { id: 'flt-max-notional', key: 'maxNotional',  scale: 1e6 },
+  { id: 'flt-min-dte',      key: 'minDTE',       scale: 1 },
+  { id: 'flt-max-dte',      key: 'maxDTE',       scale: 1 },
+  { id: 'flt-min-money',    key: 'minMoneyness', scale: 1 },
+  { id: 'flt-max-money',    key: 'maxMoneyness', scale: 1 },
+];
+
+function syncFilterPanel() {
+  for (const { id, key, scale } of FILTER_FIELDS) {
+    const v = _filter[key];
+    document.getElementById(id).value = v == null ? '' : +(v / scale).toFixed(4);
+  }
+  for (const t of ['put', 'call', 'spread']) {
+    document.getElementById(`flt-type-${t}`).checked = !!_filter.types[t];
+  }
+  document.getElementById('flt-trade-from').value = _filter.tradeFrom ?? '';
+  document.getElementById('flt-trade-to').value   = _filter.tradeTo ?? '';
+  document.getElementById('flt-max-lines').value  = _filter.maxLines;
+
+  const presets = { ...BUILTIN_PRESETS, ...loadPresets() };
+  document.getElementById('flt-preset').innerHTML =
+    '<option value="">PRESET…</option>' +
+    Object.keys(presets).map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+
+  const filterBtn = document.getElementById('filter-btn');
+  filterBtn.textContent = filterSummary();
+  filterBtn.classList.toggle('filter-btn--all', !_filter.minNotional);
+
+  const sideBtn = document.getElementById('side-btn');
+  const side = _filter.types.put && _filter.types.call ? 'both' : _filter.types.put ? 'puts' : 'calls';
+  sideBtn.textContent = side.toUpperCase();
+  sideBtn.classList.toggle('filter-btn--puts',  side === 'puts');
+  sideBtn.classList.toggle('filter-btn--calls', side === 'calls');
+}
+
+function readFilterPanel() {
+  for (const { id, key, scale } of FILTER_FIELDS) {
+    const raw = document.getElementById(id).value.trim();
+    const n   = parseFloat(raw);
+    _filter[key] = raw === '' || !isFinite(n) ? null : n * scale;
+  }
+  for (const t of ['put', 'call', 'spread']) {
+    _filter.types[t] = document.getElementById(`flt-type-${t}`).checked;
+  }
+  _filter.tradeFrom = document.getElementById('flt-trade-from').value || null;
+  _filter.tradeTo   = document.getElementById('flt-trade-to').value || null;
+  const maxLines = parseInt(document.getElementById('flt-max-lines').value);
+  _filter.maxLines = isFinite(maxLines) && maxLines > 0 ? Math.min(maxLines, 50) : 8;
+}
+
+// Persist, refresh the controls, and rebuild every view that follows the filter.
+function applyFilter() {
+  saveFilter();
+  syncFilterPanel();
+  syncUrl();
+  if (_lastOhlcv && _lastPositions) {
+    buildChart(_lastOhlcv, _lastPositions);
+    document.querySelector('.stab.stab-on')?.click();
+  }
+}
+
+function initFilterPanel() {
+  const panel = document.getElementById('filter-panel');
+  syncFilterPanel();
+
+  document.getElementById('filter-btn').addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+  });
+  panel.addEventListener('change', e => {
+    if (e.target.id === 'flt-preset' || e.target.id === 'flt-preset-name') return;
+    readFilterPanel();
+    applyFilter();
+  });
+
+  document.getElementById('flt-preset').addEventListener('change', e => {
+    const name = e.target.value;
+    const preset = { ...BUILTIN_PRESETS, ...loadPresets() }[name];
+    if (!preset) return;
+    _filter = cloneFilter({ ...BUILTIN_PRESETS['>$1M'], ...preset });
+    document.getElementById('flt-preset-name').value = name in BUILTIN_PRESETS ? '' : name;
+    applyFilter();
+    document.getElementById('flt-preset').value = name;
+  });
+
+  document.getElementById('flt-save').addEventListener('click', () => {
+    const name = document.getElementById('flt-preset-name').value.trim();
+    if (!name || name in BUILTIN_PRESETS) return;
+    savePresets({ ...loadPresets(), [name]: cloneFilter(_filter) });
+    syncFilterPanel();
+    document.getElementById('flt-preset').value = name;
+  });
+
+  document.getElementById('flt-delete').addEventListener('click', () => {
+    const name = document.getElementById('flt-preset').value;
+    if (!name || name in BUILTIN_PRESETS) return;
+    const presets = loadPresets();
+    delete presets[name];
+    savePresets(presets);
+    document.getElementById('flt-preset-name').value = '';
+    syncFilterPanel();
+  });
+
+  document.getElementById('flt-reset').addEventListener('click', () => {
+    _filter = cloneFilter(BUILTIN_PRESETS['>$1M']);
+    applyFilter();
+  });
+}
+
 // ── Strike labels ─────────────────────────────────────────────────────────────
 
 function createLabels(positions) {
-  // Remove any labels left over from a previous load
-  document.querySelectorAll('.strike-label').forEach(el => el.remove());
+  // Remove any labels / pair links left over from a previous load
+  document.querySelectorAll('.strike-label, .pair-link').forEach(el => el.remove());
+  document.getElementById('calls-overlay')?.remove();
   _labelData = [];
+  _pairData  = [];
 
   const container = document.getElementById('chart-container');
 
   const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const pairs  = findExpiryPairs(positions);
 
   for (const p of positions) {
+    // A linked put/call pair with both legs on the chart is one unit: a single
+    // label on the put, halfway between the two strikes
+    const link = p.link && positions.includes(p.link.put) && positions.includes(p.link.call) ? p.link : null;
+    if (link && p === link.call) continue;
+
     const dte   = getDTE(p.expiry);
     const color = p.type === 'call' ? '#aa44ff' : dteColor(dte);
     const premForLabel = (isFinite(p.originalPremium) && p.originalPremium > 0)
@@ -226,10 +419,21 @@ function createLabels(positions) {
     const dateLabel = `${months[p.expiry.getMonth()]} ${p.expiry.getDate()} ${p.expiry.getFullYear()}`;
 
     let text, labelStrike;
-    if (p.isSpread) {
-      // e.g. "Jan 17 2027 · 140/230C · 1,150x · $1.2M NET DEBIT"
-      const netStr = p.netLabel ? ` ${p.netLabel}` : '';
-      text        = `${dateLabel} · ${p.strike} · ${p.contracts.toLocaleString()}x · ${mvStr}${netStr}`;
+    if (link) {
+      // e.g. "Jun 18 2027 · 95P/110C RISK REVERSAL · 9,000x · $412K NET CREDIT"
+      const { put, call } = link;
+      const net  = linkNet(link);
+      const size = put.contracts === call.contracts ? put.contracts.toLocaleString()
+        : `${put.contracts.toLocaleString()}/${call.contracts.toLocaleString()}`;
+      text        = `${dateLabel} · ${+put.strike.toFixed(2)}P/${+call.strike.toFixed(2)}C ${STRUCTURE_LABELS[link.kind]}` +
+                    ` · ${size}x · ${fmtMoney(Math.abs(net))} NET ${net > 0 ? 'DEBIT' : 'CREDIT'}`;
+      labelStrike = (put.strike + call.strike) / 2;
+    } else if (p.isSpread) {
+      // e.g. "Jan 17 2027 · 140/230C · 1,150x · $1.2M NET DEBIT"; structures
+      // other than a plain vertical are named: "· 90/95P/105/110C IRON CONDOR"
+      const netStr  = p.netLabel ? ` ${p.netLabel}` : '';
+      const kindStr = p.structure !== 'vertical' ? ` ${STRUCTURE_LABELS[p.structure]}` : '';
+      text        = `${dateLabel} · ${p.strike}${kindStr} · ${p.contracts.toLocaleString()}x · ${mvStr}${netStr}`;
       labelStrike = (p.leg1Strike + p.leg2Strike) / 2;
     } else {
       const typeChar  = p.type === 'call' ? 'C' : 'P';
@@ -237,47 +441,50 @@ function createLabels(positions) {
       text        = `${dateLabel} · ${strikeStr}${typeChar} · ${p.contracts.toLocaleString()}x · ${mvStr}`;
       labelStrike = p.strike;
     }
-
-    // Calls go to overlay panel — skip chart label
-    if (p.type === 'call') continue;
+    if (!link && pairs.some(pr => pr.put === p || pr.call === p)) text += ' · RR';
+    const prints = unitMembers(link ?? p).reduce((n, m) => n + m.prints.length, 0);
+    if (prints > (link ? 2 : 1)) text += ` · ${prints} PRINTS`;
+    const sigma = sigmaDistance(p);
+    if (sigma) text += ` · ${sigma}`;
 
     const el = document.createElement('div');
-    el.className   = 'strike-label';
+    el.className   = p.type === 'call' ? 'strike-label strike-label--call' : 'strike-label';
     el.style.color = color;
     el.textContent = text;
     container.appendChild(el);
 
-    _labelData.push({ p, el, labelStrike });
-  }
-
-  // ── Calls overlay panel ───────────────────────────────────────────────────
-  let callsPanel = document.getElementById('calls-overlay');
-  if (!callsPanel) {
-    callsPanel = document.createElement('div');
-    callsPanel.id = 'calls-overlay';
-    container.appendChild(callsPanel);
-  }
-  const callPositions = positions.filter(p => p.type === 'call')
-    .sort((a, b) => a.tradeDate - b.tradeDate);
-  if (callPositions.length === 0) { callsPanel.style.display = 'none'; }
-  else {
-    callsPanel.style.display = 'block';
-    const mo = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-    callsPanel.innerHTML = '<div class="calls-overlay-title">CALLS</div>' + callPositions.map(p => {
-      const prem = (isFinite(p.originalPremium) && p.originalPremium > 0) ? p.originalPremium : (p.isSpread ? (p.leg1Strike + p.leg2Strike) / 2 : p.strike) * 0.03;
-      const mv = p.contracts * prem * 100;
-      const mvStr = fmtMoney(mv);
-      const dl = mo[p.expiry.getMonth()] + ' ' + p.expiry.getDate() + ' ' + p.expiry.getFullYear();
-      const sk = p.isSpread ? p.strike : (p.strike % 1 === 0 ? p.strike.toFixed(0) : p.strike.toFixed(2));
-      const tc = p.isSpread ? '' : 'C';
-      const ns = p.netLabel ? ' ' + p.netLabel : '';
-      return '<div class="calls-overlay-row">' + dl + ' · ' + sk + tc + ' · ' + p.contracts.toLocaleString() + 'x · ' + mvStr + ns + '</div>';
-    }).join('');
+    // Calls get their own lane (left of the line tip) so they never fight
+    // the put labels for vertical space.
+    _labelData.push({ p, el, labelStrike, lane: p.type === 'call' ? 'call' : 'put' });
+  }
+
+  // ── Put/call pair links ───────────────────────────────────
+  // A put sale and a call buy on the same expiry are one risk reversal —
+  // join their line tips with a vertical connector.
+  for (const { put, call } of pairs) {
+    const el = document.createElement('div');
+    el.className = 'pair-link';
+    container.appendChild(el);
+    _pairData.push({ put, call, el });
   }
 
   updateLabelPositions();
 }
 
+// Match every put with the calls sharing its expiry date.
+function findExpiryPairs(positions) {
+  const puts  = positions.filter(p => p.type !== 'call');
+  const calls = positions.filter(p => p.type === 'call');
+  const pairs = [];
+  for (const put of puts) {
+    const key = dateToStr(put.expiry);
+    for (const call of calls) {
+      if (dateToStr(call.expiry) === key) pairs.push({ put, call });
+    }
+  }
+  return pairs;
+}
+
 function updateLabelPositions() {
   if (!_chart || !_candlesSeries || !_labelData.length) return;
 
@@ -286,16 +493,26 @@ function updateLabelPositions() {
   const maxLabelX   = container.clientWidth - priceScaleW;
   // Approximate rendered label height (10px font × 3 lines + padding)
   const LABEL_H     = 42;
+  const paneH       = pricePaneHeight();
 
   // Labels sit at the right end of their line. Because strike lines are clamped
   // to today+90, use the same clamped date so the label tracks the line tip.
   const farDate = lineFarDate();
-  const items = _labelData.map(({ p, el, labelStrike }) => {
-    const y      = _candlesSeries.priceToCoordinate(labelStrike ?? p.strike);
+  const tipX = p => {
     const tipDate = p.expiry < farDate ? p.expiry : farDate;
-    const xe     = _chart.timeScale().timeToCoordinate(dateToStr(tipDate));
-    const x      = xe !== null ? Math.min(xe + 8, maxLabelX) : null;
-    return { el, x, y };
+    return _chart.timeScale().timeToCoordinate(toChartTime(tipDate));
+  };
+  const items = _labelData.map(({ p, el, labelStrike, lane }) => {
+    let y    = _candlesSeries.priceToCoordinate(labelStrike ?? p.strike);
+    if (y !== null && y > paneH) y = null;
+    const xe = tipX(p);
+    let x = null;
+    if (xe !== null) {
+      x = lane === 'call'
+        ? Math.max(0, xe - 8 - el.offsetWidth)
+        : Math.min(xe + 8, maxLabelX);
+    }
+    return { el, x, y, lane };
   });
 
   // Hide off-screen items
@@ -303,35 +520,1164 @@ function updateLabelPositions() {
     if (item.x === null || item.y === null) item.el.style.display = 'none';
   }
 
-  // Resolve vertical overlaps for all labels together (all on the right side now).
-  const visible = items.filter(i => i.x !== null && i.y !== null);
-  visible.sort((a, b) => a.y - b.y);
-  for (let i = 0; i < visible.length; i++) {
-    visible[i].adjY = i === 0
-      ? visible[i].y
-      : Math.max(visible[i].y, visible[i - 1].adjY + LABEL_H);
-  }
+  // Resolve vertical overlaps within each lane independently.
+  for (const lane of ['put', 'call']) {
+    const visible = items.filter(i => i.lane === lane && i.x !== null && i.y !== null);
+    visible.sort((a, b) => a.y - b.y);
+    for (let i = 0; i < visible.length; i++) {
+      visible[i].adjY = i === 0
+        ? visible[i].y
+        : Math.max(visible[i].y, visible[i - 1].adjY + LABEL_H);
+    }
+
+    for (let i = 0; i < visible.length; i++) {
+      const item = visible[i];
+      // Stagger labels left/right when they're stacked to aid readability
+      const staggerOffset = (item.adjY > item.y + 10) ? (i % 2 === 0 ? 0 : -160) : 0;
+      item.el.style.display = 'block';
+      item.el.style.left    = `${Math.max(0, item.x + staggerOffset)}px`;
+      item.el.style.top     = `${item.adjY - 7}px`;
+    }
+  }
+
+  for (const { put, call, el } of _pairData) {
+    const x  = tipX(put);
+    const y1 = _candlesSeries.priceToCoordinate(strikeRef(put));
+    const y2 = _candlesSeries.priceToCoordinate(strikeRef(call));
+    if (x === null || y1 === null || y2 === null || Math.max(y1, y2) > paneH) { el.style.display = 'none'; continue; }
+    el.style.display = 'block';
+    el.style.left    = `${x}px`;
+    el.style.top     = `${Math.min(y1, y2)}px`;
+    el.style.height  = `${Math.abs(y1 - y2)}px`;
+  }
+}
+
+// ── Flow markers ──────────────────────────────────────────────────────────────
+
+// Marker size follows the same notional buckets as strike line width.
+function flowMarkerSize(mv) {
+  if (mv > 2_000_000) return 3;
+  if (mv >   500_000) return 2;
+  return 1;
+}
+
+// Time of the first bar on or after trading day `day` ('YYYY-MM-DD'), or null
+// when the day falls outside the loaded bars — before the first one (intraday
+// views only reach back weeks) or after the last.
+function barOnOrAfter(ohlcv, day) {
+  if (!ohlcv.length || day < barDay(ohlcv[0].time)) return null;
+  return ohlcv.find(d => barDay(d.time) >= day)?.time ?? null;
+}
+
+// One marker per (trade day, side) on the bars. Trade dates that fall on a
+// non-trading day snap forward to the next bar so the marker still renders.
+// On intraday bars a print lands on the first bar of its trade day; prints
+// from before the first loaded bar get no marker. Returns
+// the markers and Map(String(barTime) → Set(tradeDay)) so a click can resolve
+// back to prints.
+function flowMarkerData(ohlcv, positions) {
+  const snap = day => barOnOrAfter(ohlcv, day);
+
+  const buckets = new Map(); // `${barTime}|${side}` → { time, side, mv }
+  const days    = new Map();
+  for (const p of positions) {
+    const day  = dateToStr(p.tradeDate);
+    const time = snap(day);
+    if (time == null) continue;
+    const side = p.type === 'call' ? 'call' : 'put';
+    const key  = `${time}|${side}`;
+    if (!buckets.has(key)) buckets.set(key, { time, side, mv: 0 });
+    buckets.get(key).mv += p.contracts * p.originalPremium * 100;
+    if (!days.has(String(time))) days.set(String(time), new Set());
+    days.get(String(time)).add(day);
+  }
+
+  // Puts sold sit under the bar, calls bought above it.
+  const markers = [...buckets.values()]
+    .sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0))
+    .map(b => ({
+      id:       `flow|${b.side}|${b.time}`,
+      time:     b.time,
+      position: b.side === 'call' ? 'aboveBar' : 'belowBar',
+      shape:    'circle',
+      color:    b.side === 'call' ? '#aa44ff' : '#00c8ff',
+      size:     flowMarkerSize(b.mv),
+      text:     fmtMoney(b.mv),
+    }));
+  return { markers, days };
+}
+
+function addFlowMarkers(candles, ohlcv, positions) {
+  const { markers, days } = flowMarkerData(ohlcv, positions);
+  _flowMarkers = LightweightCharts.createSeriesMarkers(candles, markers);
+  return days;
+}
+
+// ── Volume and flow panes ─────────────────────────────────────────────────────
+// Two histogram panes under the bars on the same time scale: traded volume,
+// and flow notional per trade day (snapped like the flow markers, so prints
+// from before the first loaded bar are left out rather than piled onto it —
+// on intraday views that is most of them). The flow pane stacks calls on
+// puts — the call series carries put + call so its top is the day's total and
+// the put series paints over the lower part.
+
+const PANES_STORAGE_KEY = 'chart_panes';
+const VOLUME_PANE_H     = 70;
+const FLOW_PANE_H       = 70;
+
+let _showPanes = localStorage.getItem(PANES_STORAGE_KEY) !== 'off';
+
+// Height of the price pane. Labels and the strike profile stay out of the
+// volume / flow panes beneath it.
+function pricePaneHeight() {
+  return _chart?.panes()[0]?.getHeight() ?? Infinity;
+}
+
+function addLowerPanes(ohlcv, positions) {
+  const histogram = (pane, opts) => _chart.addSeries(LightweightCharts.HistogramSeries, {
+    priceLineVisible: false,
+    lastValueVisible: false,
+    ...opts,
+  }, pane);
+
+  const volume = histogram(1, { priceFormat: { type: 'volume' } });
+  volume.setData(ohlcv.map(d => ({
+    time:  d.time,
+    value: d.volume ?? 0,
+    color: d.close >= d.open ? '#00e67655' : '#ff335555',
+  })));
+
+  const byBar = new Map(); // barTime → { put, call }
+  for (const p of positions) {
+    const time = barOnOrAfter(ohlcv, dateToStr(p.tradeDate));
+    if (time == null) continue;
+    if (!byBar.has(time)) byBar.set(time, { put: 0, call: 0 });
+    byBar.get(time)[p.type === 'call' ? 'call' : 'put'] += p.contracts * p.originalPremium * 100;
+  }
+  const rows = [...byBar.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const money = { type: 'custom', formatter: fmtMoney, minMove: 1 };
+  histogram(2, { color: '#aa44ff', priceFormat: money })
+    .setData(rows.map(([time, v]) => ({ time, value: v.put + v.call })));
+  histogram(2, { color: '#00c8ff', priceFormat: money })
+    .setData(rows.map(([time, v]) => ({ time, value: v.put })));
+
+  const panes = _chart.panes();
+  panes[1]?.setHeight(VOLUME_PANE_H);
+  panes[2]?.setHeight(FLOW_PANE_H);
+}
+
+// ── Moving averages ───────────────────────────────────────────────────────────
+
+const MA_DEFS = [
+  { key: 'ema8',   label: '8 EMA',   kind: 'ema', period: 8,   color: '#ff80ab' },
+  { key: 'ema21',  label: '21 EMA',  kind: 'ema', period: 21,  color: '#ffe066' },
+  { key: 'sma50',  label: '50 SMA',  kind: 'sma', period: 50,  color: '#80cbc4' },
+  { key: 'sma200', label: '200 SMA', kind: 'sma', period: 200, color: '#e0e0e0' },
+];
+const MA_STORAGE_KEY = 'chart_ma_overlays';
+const RECLAIM_COLOR  = '#ffe066'; // matches the 21 EMA line
+
+function loadMASettings() {
+  const defaults = { ema8: false, ema21: true, sma50: false, sma200: false, reclaim: true };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(MA_STORAGE_KEY) ?? '{}') };
+  } catch {
+    return defaults;
+  }
+}
+
+function saveMASettings() {
+  localStorage.setItem(MA_STORAGE_KEY, JSON.stringify(_maSettings));
+}
+
+// Per-bar EMA, seeded with the SMA of the first `period` closes — the same
+// seeding as calcEMA in signals.js, so reclaims agree with the signals tab.
+function emaValues(closes, period) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length < period) return out;
+  const k = 2 / (period + 1);
+  let ema = closes.slice(0, period).reduce((s, v) => s + v, 0) / period;
+  out[period - 1] = ema;
+  for (let i = period; i < closes.length; i++) {
+    ema = closes[i] * k + ema * (1 - k);
+    out[i] = ema;
+  }
+  return out;
+}
+
+function smaValues(closes, period) {
+  const out = new Array(closes.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < closes.length; i++) {
+    sum += closes[i];
+    if (i >= period) sum -= closes[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Bar times where the close crossed back above the 21 EMA — the per-bar form
+// of the reclaim fetchMAContext checks for the last two sessions.
+function reclaimTimes(ohlcv) {
+  const closes = ohlcv.map(d => d.close);
+  const ema21  = emaValues(closes, 21);
+  const times  = new Set();
+  for (let i = 1; i < ohlcv.length; i++) {
+    if (ema21[i - 1] == null) continue;
+    if (closes[i - 1] < ema21[i - 1] && closes[i] >= ema21[i]) times.add(ohlcv[i].time);
+  }
+  return times;
+}
+
+// The averages are daily indicators, always computed on the daily bars. On an
+// intraday chart every bar carries its session's daily value, so the 21 EMA
+// sits at the same level whatever the timeframe.
+function maPoints(ohlcv, values) {
+  if (!isIntraday()) return ohlcv.map((d, i) => ({ time: d.time, value: values[i] }));
+  const byDay = new Map(_dailyOhlcv.map((d, i) => [barDay(d.time), values[i]]));
+  return ohlcv.map(d => ({ time: d.time, value: byDay.get(barDay(d.time)) ?? null }));
+}
+
+function addMAOverlays(ohlcv) {
+  const closes = (isIntraday() ? _dailyOhlcv : ohlcv).map(d => d.close);
+  _maSeries = {};
+  for (const def of MA_DEFS) {
+    const values = def.kind === 'ema' ? emaValues(closes, def.period) : smaValues(closes, def.period);
+    const series = _chart.addSeries(LightweightCharts.LineSeries, {
+      color:                  def.color,
+      lineWidth:              1,
+      visible:                !!_maSettings[def.key],
+      lastValueVisible:       false,
+      priceLineVisible:       false,
+      crosshairMarkerVisible: false,
+      autoscaleInfoProvider:  () => null,
+    });
+    series.setData(maPoints(ohlcv, values).filter(d => d.value != null));
+    _maSeries[def.key] = series;
+  }
+}
+
+// ── Expected-move cone ────────────────────────────────────────────────────────
+// ±1σ / ±2σ lognormal cone from the as-of close out to lineFarDate(). σ is
+// either the VIX close on the as-of date (market implied vol, from the ^VIX
+// daily bars) or this ticker's 30-session realized vol from the daily bars.
+// fetchVIX in signals.js is not reused: it only reads the latest VIX, and a
+// past as-of date needs the close from that day. Time is in calendar days /
+// 365. Points fall on trading days only (bar days inside the loaded data,
+// weekdays beyond it) so a past as-of date opens no empty axis slots.
+
+const CONE_STORAGE_KEY = 'chart_cone';
+const CONE_MODES       = ['rv', 'vix', 'off'];
+const RV_WINDOW        = 30; // sessions of daily log returns
+
+let _coneMode   = CONE_MODES.includes(localStorage.getItem(CONE_STORAGE_KEY))
+  ? localStorage.getItem(CONE_STORAGE_KEY) : 'rv';
+let _coneVix    = null; // ^VIX daily bars, fetched on demand; [] when unavailable
+let _coneSeries = [];   // cone LineSeries on the current chart
+
+// Annualised close-to-close vol over the last RV_WINDOW sessions up to as-of.
+function realizedVol(ohlcv) {
+  const asOfStr = dateToStr(asOfDate());
+  const closes  = (ohlcv ?? [])
+    .filter(d => d.time <= asOfStr)
+    .slice(-(RV_WINDOW + 1))
+    .map(d => d.close);
+  if (closes.length < 10) return null;
+  const rets = closes.slice(1).map((c, i) => Math.log(c / closes[i]));
+  const mean = rets.reduce((s, r) => s + r, 0) / rets.length;
+  const variance = rets.reduce((s, r) => s + (r - mean) ** 2, 0) / (rets.length - 1);
+  return Math.sqrt(variance * 252);
+}
+
+// VIX close on or before the as-of date, or null without VIX data.
+function asOfVix() {
+  const asOfStr = dateToStr(asOfDate());
+  return (_coneVix ?? []).filter(d => d.time <= asOfStr).at(-1)?.close ?? null;
+}
+
+// Annualised σ for the current cone mode, or null when the cone is off or its
+// vol is unavailable.
+function coneSigma() {
+  if (_coneMode === 'vix') return asOfVix() != null ? asOfVix() / 100 : null;
+  if (_coneMode === 'rv')  return realizedVol(_dailyOhlcv);
+  return null;
+}
+
+// VIX is only fetched once the cone is switched to it. A failed fetch is not
+// retried until the page reloads, and the cone stays hidden.
+async function ensureConeVol() {
+  if (_coneMode !== 'vix' || _coneVix != null) return;
+  _coneVix = await fetchOHLCV('^VIX').catch(err => {
+    console.warn('[cone] VIX fetch failed:', err.message);
+    return [];
+  });
+}
+
+function coneButtonText() {
+  if (_coneMode === 'off') return 'σ CONE';
+  const sigma = coneSigma();
+  return `σ ${_coneMode.toUpperCase()} ${sigma != null ? `${(sigma * 100).toFixed(0)}%` : 'N/A'}`;
+}
+
+// "0.6σ IN" / "1.4σ OUT" — how far the deciding strike sits from the as-of
+// close, in units of the 1σ move by the position's expiry.
+function sigmaDistance(p) {
+  const sigma = coneSigma();
+  const close = asOfClose(_lastOhlcv);
+  if (sigma == null || !(close > 0)) return null;
+  const t = Math.max(getDTE(p.expiry), 1) / 365;
+  const z = Math.abs(Math.log(outcomeStrike(p) / close)) / (sigma * Math.sqrt(t));
+  return `${z.toFixed(1)}σ ${z <= 1 ? 'IN' : 'OUT'}`;
+}
+
+function addExpectedMoveCone(ohlcv, lastClose) {
+  _coneSeries = [];
+  const sigma = coneSigma();
+  if (sigma == null || !(lastClose > 0)) return;
+
+  const asOf    = asOfDate();
+  const asOfStr = dateToStr(asOf);
+  const past    = ohlcv.filter(d => barDay(d.time) <= asOfStr);
+  const start   = past[past.length - 1];
+  if (!start) return;
+
+  const bands = [
+    { k:  1, style: LightweightCharts.LineStyle.Dashed },
+    { k: -1, style: LightweightCharts.LineStyle.Dashed },
+    { k:  2, style: LightweightCharts.LineStyle.SparseDotted },
+    { k: -2, style: LightweightCharts.LineStyle.SparseDotted },
+  ];
+  const points  = bands.map(() => [{ time: start.time, value: lastClose }]);
+  const barDays = new Set(ohlcv.map(b => barDay(b.time)));
+  const lastDay = barDay(ohlcv[ohlcv.length - 1].time);
+  const far     = lineFarDate();
+  for (const d = new Date(asOf); d <= far; d.setDate(d.getDate() + 1)) {
+    if (d.getDay() === 0 || d.getDay() === 6 || d <= asOf) continue;
+    const day = dateToStr(d);
+    if (day <= lastDay && !barDays.has(day)) continue; // holiday inside the data
+    const time = snapTime(d);
+    if (!(time > points[0].at(-1).time)) continue;
+    const move = sigma * Math.sqrt((d - asOf) / 86_400_000 / 365);
+    bands.forEach((b, i) => points[i].push({ time, value: lastClose * Math.exp(b.k * move) }));
+  }
+
+  bands.forEach((b, i) => {
+    const s = _chart.addSeries(LightweightCharts.LineSeries, {
+      color:                  Math.abs(b.k) === 1 ? '#c8d8ea66' : '#c8d8ea33',
+      lineWidth:              1,
+      lineStyle:              b.style,
+      lastValueVisible:       false,
+      priceLineVisible:       false,
+      crosshairMarkerVisible: false,
+      autoscaleInfoProvider:  () => null,
+    });
+    s.setData(points[i]);
+    _coneSeries.push(s);
+  });
+}
+
+// ── Support zones ─────────────────────────────────────────────────────────────
+// Shaded bands over clusters of put strikes (clusterSupportZones, signals.js).
+// Built from the filtered, uncapped active puts — the set the strike profile
+// covers — so a zone can stand for strikes the capped lines leave out. Multi-
+// leg positions count at each put leg with its share of the net notional
+// (zonePoints, signals.js), as in buildStrikeProfile.
+
+const ZONES_STORAGE_KEY = 'chart_zones';
+const ZONES_MAX         = 4; // strongest zones drawn
+
+let _showZones = localStorage.getItem(ZONES_STORAGE_KEY) !== 'off';
+let _zoneData  = []; // { zone, el } bands on the current chart
+
+function addSupportZones(positions, lastPrice) {
+  document.querySelectorAll('.sr-zone').forEach(el => el.remove());
+  _zoneData = [];
+  if (!_showZones) return;
+
+  const puts  = positions.filter(p => p.type !== 'call');
+  const zones = clusterSupportZones(zonePoints(puts), lastPrice).slice(0, ZONES_MAX);
+  const container = document.getElementById('chart-container');
+  for (const zone of zones) {
+    const el    = document.createElement('div');
+    el.className = 'sr-zone';
+    // Shade scales with weight relative to the strongest zone
+    el.style.background = `rgba(0,200,255,${(0.05 + 0.12 * zone.weight / zones[0].weight).toFixed(3)})`;
+    el.title = `$${zone.low}–$${zone.high} · ${zone.dates} trade date${zone.dates === 1 ? '' : 's'}`;
+    const lbl = document.createElement('span');
+    lbl.className   = 'sr-zone-lbl';
+    lbl.textContent = `${fmtMoney(zone.notional)} across ${zone.prints} prints`;
+    el.appendChild(lbl);
+    container.appendChild(el);
+    _zoneData.push({ zone, el });
+  }
+}
+
+// Bands span the plot area between the zone's lowest and highest strike, with
+// a minimum height so a tight cluster still reads as a band.
+function updateZonePositions() {
+  if (!_chart || !_candlesSeries || !_zoneData.length) return;
+  const width = document.getElementById('chart-container').clientWidth - 75;
+  const paneH = pricePaneHeight();
+  const MIN_H = 6;
+  for (const { zone, el } of _zoneData) {
+    const yTop = _candlesSeries.priceToCoordinate(zone.high);
+    const yBot = _candlesSeries.priceToCoordinate(zone.low);
+    if (yTop === null || yBot === null || yTop > paneH) { el.style.display = 'none'; continue; }
+    const mid = (yTop + yBot) / 2;
+    const h   = Math.max(MIN_H, yBot - yTop);
+    const top = Math.max(0, mid - h / 2);
+    el.style.display = 'block';
+    el.style.width   = `${width}px`;
+    el.style.top     = `${top}px`;
+    el.style.height  = `${Math.min(mid + h / 2, paneH) - top}px`;
+  }
+}
+
+// ── Chart annotations ─────────────────────────────────────────────────────────
+// Levels, trendlines, text notes and gap zones, stored per ticker in
+// localStorage and redrawn by every buildChart. Points keep the bar time they
+// were drawn on — 'YYYY-MM-DD' on daily bars, a timestamp on intraday bars —
+// and annTime() maps them onto whichever interval is showing. Levels and
+// trendlines are chart primitives; notes and gap zones are HTML overlays
+// positioned every frame like the strike labels.
+
+const ANN_STORAGE_KEY = 'chart_annotations';
+const ANN_KINDS       = ['level', 'trend', 'note', 'gap'];
+const ANN_COLOR       = '#ffd180';
+const ANN_HIT_PX      = 6; // erase tolerance around levels and trendlines
+
+let _annTool    = null; // active tool: an ANN_KINDS entry, 'erase' or null
+let _annPending = null; // first { time, price } of a two-click trendline / gap
+let _annEls     = [];   // { ann, el } note and gap overlays on the current chart
+
+function loadAllAnnotations() {
+  try {
+    return JSON.parse(localStorage.getItem(ANN_STORAGE_KEY) ?? '{}') ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function loadAnnotations(ticker) {
+  return loadAllAnnotations()[ticker] ?? [];
+}
+
+function saveAnnotations(ticker, list) {
+  const all = loadAllAnnotations();
+  if (list.length) all[ticker] = list;
+  else delete all[ticker];
+  localStorage.setItem(ANN_STORAGE_KEY, JSON.stringify(all));
+}
+
+// Whether an entry has the fields its kind is drawn from. Imports are checked
+// against it, and drawing skips anything that fails (a hand-edited store).
+function validAnnotation(ann) {
+  const isTime  = t => typeof t === 'string' ? parseDate(t) != null : Number.isFinite(t);
+  const isPoint = pt => pt != null && isTime(pt.time) && Number.isFinite(pt.price);
+  if (!ann?.id || !ANN_KINDS.includes(ann.kind)) return false;
+  switch (ann.kind) {
+    case 'level': return Number.isFinite(ann.price);
+    case 'trend': return isPoint(ann.a) && isPoint(ann.b);
+    case 'note':  return isPoint(ann) && typeof ann.text === 'string';
+    case 'gap':   return isTime(ann.time) && Number.isFinite(ann.high) && Number.isFinite(ann.low);
+  }
+  return false;
+}
+
+// A stored point time on the current chart's time axis.
+function annTime(t) {
+  if (!isIntraday()) return barDay(t);
+  return typeof t === 'number' ? t : snapTime(parseDate(t));
+}
+
+// Box an annotation element covers in chart-container pixels. Notes are
+// centred on their price by a CSS translateY(-50%), which offsetTop ignores.
+function annBox(ann, el) {
+  const shift = ann.kind === 'note' ? el.offsetHeight / 2 : 0;
+  return { x: el.offsetLeft, y: el.offsetTop - shift, w: el.offsetWidth, h: el.offsetHeight };
+}
+
+function drawAnnotations(candles) {
+  document.querySelectorAll('.ann-note, .ann-gap').forEach(el => el.remove());
+  _annEls = [];
+  if (!_currentTicker) return;
+
+  const container = document.getElementById('chart-container');
+  for (const ann of loadAnnotations(_currentTicker).filter(validAnnotation)) {
+    if (ann.kind === 'level') {
+      candles.createPriceLine({
+        price:            ann.price,
+        color:            ANN_COLOR,
+        lineWidth:        1,
+        lineStyle:        LightweightCharts.LineStyle.LargeDashed,
+        axisLabelVisible: true,
+        title:            'LVL',
+      });
+    } else if (ann.kind === 'trend') {
+      const pts = [ann.a, ann.b]
+        .map(pt => ({ time: annTime(pt.time), value: pt.price }))
+        .sort((x, y) => (x.time < y.time ? -1 : x.time > y.time ? 1 : 0));
+      if (!(pts[0].time < pts[1].time)) continue; // both ends on one bar at this interval
+      _chart.addSeries(LightweightCharts.LineSeries, {
+        color:                  ANN_COLOR,
+        lineWidth:              1,
+        lastValueVisible:       false,
+        priceLineVisible:       false,
+        crosshairMarkerVisible: false,
+        autoscaleInfoProvider:  () => null,
+      }).setData(pts);
+    } else {
+      const el = document.createElement('div');
+      el.className = ann.kind === 'note' ? 'ann-note' : 'ann-gap';
+      if (ann.kind === 'note') el.textContent = ann.text;
+      container.appendChild(el);
+      _annEls.push({ ann, el });
+    }
+  }
+}
+
+// Notes anchor at their point; gap zones run from their start bar to the
+// price scale between their high and low.
+function updateAnnotationPositions() {
+  if (!_chart || !_candlesSeries || !_annEls.length) return;
+  const container = document.getElementById('chart-container');
+  const right     = container.clientWidth - 75;
+  const paneH     = pricePaneHeight();
+  for (const { ann, el } of _annEls) {
+    const x = _chart.timeScale().timeToCoordinate(annTime(ann.time));
+    if (ann.kind === 'note') {
+      const y = _candlesSeries.priceToCoordinate(ann.price);
+      if (x === null || y === null || y > paneH) { el.style.display = 'none'; continue; }
+      el.style.display = 'block';
+      el.style.left    = `${x}px`;
+      el.style.top     = `${y}px`;
+    } else {
+      const y1 = _candlesSeries.priceToCoordinate(ann.high);
+      const y2 = _candlesSeries.priceToCoordinate(ann.low);
+      if (x === null || y1 === null || y2 === null || x > right) { el.style.display = 'none'; continue; }
+      const left = Math.max(0, x);
+      const top  = Math.max(0, y1);
+      el.style.display = 'block';
+      el.style.left    = `${left}px`;
+      el.style.width   = `${right - left}px`;
+      el.style.top     = `${top}px`;
+      el.style.height  = `${Math.max(0, Math.min(y2, paneH) - top)}px`;
+    }
+  }
+}
+
+// Annotation under a chart point, for the erase tool.
+function annotationAt(point) {
+  const list = loadAnnotations(_currentTicker);
+  const ts   = _chart.timeScale();
+  for (const ann of list.filter(validAnnotation)) {
+    if (ann.kind === 'level') {
+      const y = _candlesSeries.priceToCoordinate(ann.price);
+      if (y !== null && Math.abs(y - point.y) <= ANN_HIT_PX) return ann;
+    } else if (ann.kind === 'trend') {
+      const [a, b] = [ann.a, ann.b].map(pt => ({
+        x: ts.timeToCoordinate(annTime(pt.time)),
+        y: _candlesSeries.priceToCoordinate(pt.price),
+      }));
+      if ([a.x, a.y, b.x, b.y].includes(null)) continue;
+      // Distance from the point to the segment a–b
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const t  = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+      if (Math.hypot(point.x - a.x - t * dx, point.y - a.y - t * dy) <= ANN_HIT_PX) return ann;
+    }
+  }
+  const hit = _annEls.find(({ ann, el }) => {
+    if (el.style.display === 'none') return false;
+    const box = annBox(ann, el);
+    return point.x >= box.x && point.x <= box.x + box.w && point.y >= box.y && point.y <= box.y + box.h;
+  });
+  return hit ? list.find(a => a.id === hit.ann.id) : null;
+}
+
+// Chart click while a drawing tool is active. Tools stay armed until toggled
+// off or Esc; trendlines and gap zones take two clicks.
+function handleAnnotationClick(param) {
+  if (!param.point || param.time == null || !_currentTicker) return;
+  const price = _candlesSeries.coordinateToPrice(param.point.y);
+  if (price == null) return;
+
+  const pt   = { time: param.time, price: +price.toFixed(2) };
+  const id   = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  let list   = loadAnnotations(_currentTicker);
+
+  if (_annTool === 'erase') {
+    const hit = annotationAt(param.point);
+    if (!hit) return;
+    list = list.filter(a => a.id !== hit.id);
+  } else if (_annTool === 'level') {
+    list.push({ id, kind: 'level', price: pt.price });
+  } else if (_annTool === 'note') {
+    const text = prompt('Note');
+    if (!text?.trim()) return;
+    list.push({ id, kind: 'note', time: pt.time, price: pt.price, text: text.trim() });
+  } else if (!_annPending) {
+    _annPending = pt;
+    setStatus(`${_annTool === 'trend' ? 'Trendline' : 'Gap zone'}: click the second point (Esc cancels)`, 'info');
+    return;
+  } else {
+    const [first, second] = [_annPending, pt].sort((x, y) => (x.time < y.time ? -1 : x.time > y.time ? 1 : 0));
+    list.push(_annTool === 'trend'
+      ? { id, kind: 'trend', a: first, b: second }
+      : { id, kind: 'gap', time: first.time, high: Math.max(first.price, second.price), low: Math.min(first.price, second.price) });
+    _annPending = null;
+    setStatus('', '');
+  }
+
+  saveAnnotations(_currentTicker, list);
+  if (_lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
+}
+
+function setAnnotationTool(tool) {
+  _annTool    = tool;
+  _annPending = null;
+  document.querySelectorAll('.ann-btn[data-tool]').forEach(b =>
+    b.classList.toggle('ann-btn--on', b.dataset.tool === tool));
+  document.getElementById('chart-container').classList.toggle('ann-drawing', !!tool);
+}
+
+function exportAnnotations() {
+  const body = { ticker: _currentTicker, annotations: loadAnnotations(_currentTicker) };
+  downloadBlob(new Blob([JSON.stringify(body, null, 2)], { type: 'application/json' }),
+    `${_currentTicker}_annotations.json`);
+}
+
+// Merge an exported file into its ticker (the loaded one if the file has
+// none). Annotations already present — same id — are skipped.
+async function importAnnotations(file) {
+  const data = JSON.parse(await file.text());
+  if (!Array.isArray(data?.annotations)) throw new Error('Not an annotations file — expected { ticker, annotations: [...] }');
+  const ticker   = String(data.ticker || _currentTicker || '').trim().toUpperCase();
+  if (!ticker) throw new Error('Annotations file has no ticker — load a ticker first');
+  const list     = loadAnnotations(ticker);
+  const ids      = new Set(list.map(a => a.id));
+  const valid    = data.annotations.filter(validAnnotation);
+  const incoming = valid.filter(a => !ids.has(a.id));
+  saveAnnotations(ticker, [...list, ...incoming]);
+  return { ticker, count: incoming.length, invalid: data.annotations.length - valid.length };
+}
+
+function initAnnotationTools() {
+  document.querySelectorAll('.ann-btn[data-tool]').forEach(btn => {
+    btn.addEventListener('click', () => setAnnotationTool(_annTool === btn.dataset.tool ? null : btn.dataset.tool));
+  });
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Escape' || !_annTool) return;
+    setAnnotationTool(null);
+    setStatus('', '');
+  });
+
+  document.getElementById('ann-export').addEventListener('click', () => {
+    if (_currentTicker) exportAnnotations();
+  });
+  const fileInput = document.getElementById('ann-file');
+  document.getElementById('ann-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const { ticker, count, invalid } = await importAnnotations(file);
+      const skipped = invalid ? ` — skipped ${invalid} malformed entr${invalid === 1 ? 'y' : 'ies'}` : '';
+      setStatus(`Imported ${count} annotation${count === 1 ? '' : 's'} for ${ticker}${skipped}`, invalid ? 'warning' : 'info');
+      if (ticker === _currentTicker && _lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
+    } catch (err) {
+      setStatus(err.message, 'error');
+    }
+  });
+}
+
+// ── Strike-notional profile ───────────────────────────────────────────────────
+
+// Notional per strike across every active position, put and call legs kept
+// apart so they can be stacked. A multi-leg position's net premium belongs to
+// no one strike, so this is an interpretation: the notional is split across
+// the leg strikes by contract count (legWeights) rather than repeated at each
+// leg, which keeps the profile total equal to the deployed total.
+function buildStrikeProfile(positions) {
+  const byStrike = new Map();
+  const add = (strike, side, mv) => {
+    if (!byStrike.has(strike)) byStrike.set(strike, { strike, put: 0, call: 0 });
+    byStrike.get(strike)[side] += mv;
+  };
+  for (const p of positions) {
+    const mv = p.contracts * p.originalPremium * 100;
+    const w  = legWeights(p);
+    p.legs.forEach((l, i) => add(l.strike, l.type, mv * w[i]));
+  }
+  return [...byStrike.values()].sort((a, b) => a.strike - b.strike);
+}
+
+// Horizontal histogram drawn on a canvas pinned to the left edge of the price
+// scale. Checked every frame alongside the labels so it tracks pan and zoom,
+// but only repainted when the data, the canvas size or the price mapping (the
+// y of the lowest and highest strike) changed.
+function drawStrikeProfile() {
+  const canvas = document.getElementById('strike-profile');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  const w   = canvas.clientWidth;
+  const h   = canvas.clientHeight;
+  const yOf = d => (d && _candlesSeries ? _candlesSeries.priceToCoordinate(d.strike) : null);
+  const key = [w, h, dpr, !!_chart, pricePaneHeight(), yOf(_profileData[0]), yOf(_profileData.at(-1))].join('|');
+  if (_profileDrawn?.data === _profileData && _profileDrawn.key === key) return;
+  _profileDrawn = { data: _profileData, key };
+
+  if (canvas.width !== w * dpr || canvas.height !== h * dpr) {
+    canvas.width  = w * dpr;
+    canvas.height = h * dpr;
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+  if (!_chart || !_candlesSeries || !_profileData.length) return;
+
+  const maxMV = Math.max(..._profileData.map(d => d.put + d.call));
+  const BAR_H = 6;
+  ctx.font = "9px 'JetBrains Mono', monospace";
+  ctx.textBaseline = 'middle';
+
+  for (const d of _profileData) {
+    const y = _candlesSeries.priceToCoordinate(d.strike);
+    if (y === null || y < 0 || y > Math.min(h, pricePaneHeight())) continue;
+    const putW  = (d.put  / maxMV) * (w - 4);
+    const callW = (d.call / maxMV) * (w - 4);
+    // Bars grow leftward from the price scale: puts first, calls stacked on top.
+    ctx.fillStyle = 'rgba(0,200,255,0.45)';
+    ctx.fillRect(w - putW, y - BAR_H / 2, putW, BAR_H);
+    ctx.fillStyle = 'rgba(170,68,255,0.55)';
+    ctx.fillRect(w - putW - callW, y - BAR_H / 2, callW, BAR_H);
+
+    if (d.put + d.call >= maxMV * 0.5) {
+      ctx.fillStyle = '#7292b0';
+      ctx.textAlign = 'right';
+      ctx.fillText(fmtMoney(d.put + d.call), w - putW - callW - 3, y);
+    }
+  }
+}
+
+// ── Crosshair tooltip ─────────────────────────────────────────────────────────
+
+const TT_BAND_STORAGE_KEY = 'chart_tooltip_band';
+
+// OHLC of the hovered bar plus every active position whose strike (either leg
+// for spreads) sits within ±_tooltipBand % of the cursor price. Not limited by
+// the line cap — this is how dense names show what the labels can't.
+function updateCrosshairTooltip(param) {
+  const tip = document.getElementById('chart-tooltip');
+  if (!tip) return;
+  const bar = param.time && _candlesSeries ? param.seriesData?.get(_candlesSeries) : null;
+  if (!param.point || !bar) { tip.style.display = 'none'; return; }
+
+  const price = _candlesSeries.coordinateToPrice(param.point.y);
+  if (price == null) { tip.style.display = 'none'; return; }
+  const band = price * _tooltipBand / 100;
+  const near = strike => Math.abs(strike - price) <= band;
+
+  const day = barDay(param.time);
+  const hits = (_lastPositions ?? [])
+    .filter(p => p.legs.some(l => near(l.strike)))
+    .sort((a, b) => strikeRef(b) - strikeRef(a));
+
+  const rows = hits.map(p => {
+    const color   = p.type === 'call' ? '#aa44ff' : dteColor(getDTE(p.expiry));
+    const sk      = p.isSpread ? p.strike : `${+p.strike.toFixed(2)}${p.type === 'call' ? 'C' : 'P'}`;
+    const printed = dateToStr(p.tradeDate) <= day;
+    return `<div class="ctt-row" style="color:${color}">${sk} · ${dateToStr(p.expiry)} · ` +
+           `${p.contracts.toLocaleString()}x · ${fmtMoney(p.contracts * p.originalPremium * 100)}` +
+           ` <span class="ctt-${printed ? 'printed' : 'pending'}">${printed ? '✓ printed' : 'not yet'}</span></div>`;
+  }).join('');
+
+  tip.innerHTML =
+    `<div class="ctt-date">${day} · cursor $${price.toFixed(2)} ±${_tooltipBand}%</div>` +
+    `<div class="ctt-row">O ${bar.open.toFixed(2)} · H ${bar.high.toFixed(2)} · L ${bar.low.toFixed(2)} · C ${bar.close.toFixed(2)}</div>` +
+    (rows || '<div class="ctt-row ctt-none">No positions near this price</div>');
+
+  // Keep the tooltip on-canvas: flip left / up when it would overflow.
+  const container = document.getElementById('chart-container');
+  tip.style.display = 'block';
+  const x = param.point.x + 16 + tip.offsetWidth > container.clientWidth - 75
+    ? param.point.x - 16 - tip.offsetWidth
+    : param.point.x + 16;
+  const y = param.point.y + 16 + tip.offsetHeight > container.clientHeight
+    ? param.point.y - 16 - tip.offsetHeight
+    : param.point.y + 16;
+  tip.style.left = `${Math.max(0, x)}px`;
+  tip.style.top  = `${Math.max(0, y)}px`;
+}
+
+// ── Snapshot export ───────────────────────────────────────────────────────────
+// takeScreenshot() only captures the chart's own canvases (candles, strike
+// lines, markers). The strike labels, pair links, strike profile, support
+// zones and note / gap annotations are overlays, so they are painted on top
+// from their live positions. Call labels (strike-label--call) replaced the old
+// calls overlay and are painted with the rest.
+
+const SNAP_HEADER_H = 30; // watermark strip above the chart, CSS px
+
+function snapshotTitle() {
+  const tf = isIntraday() ? _currentInterval.toUpperCase() : `${_currentMonths}M`;
+  return `${_currentTicker} · ${tf} · ${filterSummary().replace(/ ▾$/, '')}`;
+}
+
+function renderChartSnapshot() {
+  const container = document.getElementById('chart-container');
+  const shot      = _chart.takeScreenshot();
+  const dpr       = shot.width / container.clientWidth || 1;
+  const w         = container.clientWidth;
+  const h         = shot.height / dpr;
+
+  const canvas  = document.createElement('canvas');
+  canvas.width  = shot.width;
+  canvas.height = (h + SNAP_HEADER_H) * dpr;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+
+  ctx.fillStyle = '#07090d';
+  ctx.fillRect(0, 0, w, h + SNAP_HEADER_H);
+  ctx.drawImage(shot, 0, SNAP_HEADER_H, w, h);
+
+  ctx.save();
+  ctx.translate(0, SNAP_HEADER_H);
+
+  const profile = document.getElementById('strike-profile');
+  if (profile?.width) {
+    ctx.drawImage(profile, profile.offsetLeft, profile.offsetTop, profile.clientWidth, profile.clientHeight);
+  }
+
+  ctx.font         = "9px 'JetBrains Mono', monospace";
+  ctx.textBaseline = 'top';
+  for (const { el } of _zoneData) {
+    if (el.style.display === 'none') continue;
+    ctx.fillStyle = el.style.background;
+    ctx.fillRect(el.offsetLeft, el.offsetTop, el.offsetWidth, el.offsetHeight);
+    ctx.fillStyle = '#7fdcff';
+    ctx.fillText(el.textContent, el.offsetLeft + 6, el.offsetTop + 1);
+  }
+
+  ctx.setLineDash([4, 3]);
+  ctx.strokeStyle = '#aa44ff99';
+  ctx.lineWidth   = 1;
+  for (const { el } of _pairData) {
+    if (el.style.display === 'none') continue;
+    ctx.beginPath();
+    ctx.moveTo(el.offsetLeft + 0.5, el.offsetTop);
+    ctx.lineTo(el.offsetLeft + 0.5, el.offsetTop + el.offsetHeight);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  for (const { ann, el } of _annEls) {
+    if (el.style.display === 'none') continue;
+    const box = annBox(ann, el);
+    ctx.fillStyle = ann.kind === 'gap' ? 'rgba(255,209,128,0.10)' : 'rgba(7,9,13,0.8)';
+    ctx.fillRect(box.x, box.y, box.w, box.h);
+    if (ann.kind === 'note') {
+      ctx.font         = "10px 'JetBrains Mono', monospace";
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle    = ANN_COLOR;
+      ctx.fillText(el.textContent, box.x + 4, box.y + box.h / 2);
+    }
+  }
+
+  ctx.font         = "10px 'JetBrains Mono', monospace";
+  ctx.textBaseline = 'middle';
+  for (const { el, lane } of _labelData) {
+    if (el.style.display === 'none') continue;
+    const x = el.offsetLeft;
+    const y = el.offsetTop;
+    ctx.fillStyle = 'rgba(7,9,13,0.75)';
+    ctx.fillRect(x, y, el.offsetWidth, el.offsetHeight);
+    if (lane === 'call') {
+      ctx.fillStyle = '#aa44ff44';
+      ctx.fillRect(x + el.offsetWidth - 1, y, 1, el.offsetHeight);
+    }
+    ctx.fillStyle = el.style.color;
+    ctx.fillText(el.textContent, x + 4, y + el.offsetHeight / 2);
+  }
+  ctx.restore();
+
+  // Watermark: ticker / timeframe / filter on the left, as-of date on the right
+  ctx.font         = "600 12px 'IBM Plex Mono', monospace";
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle    = '#c8d8ea';
+  ctx.fillText(snapshotTitle(), 10, SNAP_HEADER_H / 2);
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#00c8ff';
+  ctx.fillText(`${_asOf ? 'AS OF ' : ''}${dateToStr(asOfDate())} · OPTIONS FLOW COMMAND CENTRE`, w - 10, SNAP_HEADER_H / 2);
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+function snapshotFilename() {
+  return `${_currentTicker}_${dateToStr(asOfDate())}.png`;
+}
+
+function downloadBlob(blob, filename) {
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function downloadSnapshot() {
+  downloadBlob(await renderChartSnapshot(), snapshotFilename());
+}
+
+// ClipboardItem is handed the pending blob (not the awaited result) so Safari
+// still treats the write as part of the click gesture.
+async function copySnapshot() {
+  if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') {
+    throw new Error('Clipboard images are not supported in this browser — use EXPORT PNG');
+  }
+  await navigator.clipboard.write([new ClipboardItem({ 'image/png': renderChartSnapshot() })]);
+}
+
+// ── Chart ─────────────────────────────────────────────────────────────────────
+
+let _chart         = null;
+let _candlesSeries = null;
+let _labelData     = []; // [{ p, el, lane }] — kept in sync with the current chart
+let _strikeData    = []; // [{ p, series, color, width }] — one entry per strike line
+let _pairData      = []; // [{ put, call, el }] — same-expiry put/call connectors
+let _profileData   = []; // [{ strike, put, call }] — notional per strike, all active
+let _profileDrawn  = null; // { data, key } behind the profile canvas, to skip repaints
+let _lastOhlcv     = null;   // cached for filter toggle
+let _dailyOhlcv    = null;   // daily bars for outcome replay while viewing intraday
+let _lastPositions = null;   // cached active positions for filter toggle
+let _lastAllPositions = null; // cached active + expired positions (flow markers)
+let _lastExpired   = null;   // cached expired positions (outcome replay)
+let _showExpired   = true;   // draw expired positions with their outcome
+let _showBreakeven = false;  // draw a breakeven line beside each strike line
+let _tooltipBand   = parseFloat(localStorage.getItem(TT_BAND_STORAGE_KEY)) || 3; // ±% of cursor price
+let _flowMarkers   = null;   // series-markers plugin on _candlesSeries
+let _flowDays      = new Map(); // String(barTime) → Set(tradeDay) for marker clicks
+let _tradeDayFilter = null;  // String(barTime) whose prints the sidebar is filtered to
+let _filter        = loadFilter(); // position filter shared by chart, labels and sidebar
+let _currentMonths = 12;     // current timeframe selection (months of history)
+let _currentInterval = '1d'; // bar interval: '1d' or an INTRADAY_DAYS key
+let _currentTicker = null;   // ticker of the loaded chart
+let _lastFetched   = null;   // every parsed position for the ticker, pre as-of split
+let _asOf          = null;   // Date — time-travel mode; null = live (today)
+let _pinnedKey     = null;   // positionKey of the clicked (pinned) sidebar card
+let _maSeries      = {};     // MA_DEFS key → LineSeries on the current chart
+let _maSettings    = loadMASettings(); // persisted overlay toggles + reclaim highlight
+
+// ── Filter positions for chart display ───────────────────
+// Every filtered view (strike lines, labels, profile, markers, sidebar) runs
+// through positionPassesFilter. The chart additionally sorts largest-notional
+// first and caps at _filter.maxLines.
+function selectChartPositions(positions, lastPrice) {
+  return positions
+    .filter(p => positionPassesFilter(p, lastPrice))
+    .sort((a, b) => (b.contracts * b.originalPremium * 100) - (a.contracts * a.originalPremium * 100))
+    .slice(0, _filter.maxLines);
+}
+
+// Last close on or before the as-of date — the price moneyness is measured from.
+function asOfClose(ohlcv) {
+  const asOfStr  = dateToStr(asOfDate());
+  const pastBars = (ohlcv ?? []).filter(d => barDay(d.time) <= asOfStr);
+  return pastBars.length ? pastBars[pastBars.length - 1].close : 0;
+}
+
+// ── Breakeven and max profit / loss ───────────────────────
+// Per-share premium is originalPremium (net_premium for spreads, see
+// fetchPutFlowData). Dollar figures are for the whole position.
+//   Put sold:    B/E = strike − premium · max profit = premium · max loss = B/E (stock → 0)
+//   Call bought: B/E = strike + premium · max profit = unlimited (null) · max loss = premium
+//   Put bought / call sold (a row with side): the same with profit and loss swapped
+//   Put spread:  B/E = upper strike − net · call spread: B/E = lower strike + net
+//                NET CREDIT → max profit = net, max loss = width − net
+//                NET DEBIT  → max profit = width − net, max loss = net
+//   Other structures: the expiry payoff of the signed legs (structurePayoff).
+//                It is linear between strikes, so the extremes sit on a strike
+//                or run off to ∞ (null) past the last one. Calendars and
+//                diagonals have no single-expiry payoff: no breakeven, and only
+//                a net debit bounds the loss.
+// breakevens lists every crossing; breakeven is the first (NaN when none).
+function positionRisk(p) {
+  const prem   = p.originalPremium;
+  const mult   = p.contracts * 100;
+  const isCall = p.type === 'call';
+  const single = breakeven => ({ breakeven, breakevens: [breakeven] });
+
+  if (p.structure === 'vertical') {
+    const width     = p.leg2Strike - p.leg1Strike;
+    const isCredit  = /credit/i.test(p.netLabel ?? '');
+    return {
+      ...single(isCall ? p.leg1Strike + prem : p.leg2Strike - prem),
+      maxProfit: (isCredit ? prem : width - prem) * mult,
+      maxLoss:   (isCredit ? width - prem : prem) * mult,
+    };
+  }
+  if (p.isCalendar) {
+    const isCredit = /credit/i.test(p.netLabel ?? '');
+    return { breakeven: NaN, breakevens: [], maxProfit: null, maxLoss: isCredit ? null : prem * mult };
+  }
+  if (p.isSpread) return structureRisk(p);
+  const bought = p.legs[0].ratio > 0;
+  if (isCall) {
+    return bought
+      ? { ...single(p.strike + prem), maxProfit: null, maxLoss: prem * mult }
+      : { ...single(p.strike + prem), maxProfit: prem * mult, maxLoss: null };
+  }
+  return bought
+    ? { ...single(p.strike - prem), maxProfit: (p.strike - prem) * mult, maxLoss: prem * mult }
+    : { ...single(p.strike - prem), maxProfit: prem * mult, maxLoss: (p.strike - prem) * mult };
+}
+
+// Per-share value at expiry with the underlying at price: the legs' intrinsic
+// values by signed ratio, plus the net credit or minus the net debit.
+function structurePayoff(p, price) {
+  const net = /credit/i.test(p.netLabel ?? '') ? p.originalPremium : -p.originalPremium;
+  return p.legs.reduce((sum, l) =>
+    sum + l.ratio * Math.max(0, l.type === 'call' ? price - l.strike : l.strike - price), net);
+}
+
+function structureRisk(p) {
+  const mult    = p.contracts * 100;
+  const strikes = [...new Set(p.legs.map(l => l.strike))].sort((a, b) => a - b);
+  const pts     = [0, ...strikes].map(x => ({ x, y: structurePayoff(p, x) }));
+  const slope   = p.legs.reduce((s, l) => s + (l.type === 'call' ? l.ratio : 0), 0); // past the last strike
+
+  const breakevens = [];
+  for (let i = 1; i < pts.length; i++) {
+    const [a, b] = [pts[i - 1], pts[i]];
+    if (a.y < 0 !== b.y < 0) breakevens.push(a.x + (b.x - a.x) * -a.y / (b.y - a.y));
+  }
+  const end = pts[pts.length - 1];
+  if (slope && end.y < 0 === slope > 0) breakevens.push(end.x - end.y / slope);
+
+  const ys = pts.map(pt => pt.y);
+  return {
+    breakeven:  breakevens[0] ?? NaN,
+    breakevens,
+    maxProfit:  slope > 0 ? null : Math.max(0, ...ys) * mult,
+    maxLoss:    slope < 0 ? null : Math.max(0, -Math.min(...ys)) * mult,
+  };
+}
+
+// ── Expired outcome replay ────────────────────────────────
+// Strike that decides the outcome: the single strike, the short (upper) leg
+// of a put spread, or the long (lower) leg of a call spread. Other structures
+// are judged on their payoff; the line is drawn at the middle of the legs.
+function outcomeStrike(p) {
+  if (!p.isSpread) return p.strike;
+  if (p.structure !== 'vertical') return strikeRef(p);
+  return p.type === 'call' ? p.leg1Strike : p.leg2Strike;
+}
+
+// Structures other than verticals and calendars settle on their payoff
+function payoffSettled(p) {
+  return p.isSpread && p.structure !== 'vertical' && !p.isCalendar;
+}
+
+// Classify an expired position from the last close on or before expiry.
+//   Put sold:   close ≥ strike → OTM (premium kept), below → ASSIGNED
+//               (put spreads settle as ITM rather than assignment)
+//   Call bought: close > strike → ITM, otherwise → OTM
+//   Put bought / call sold: ITM / OTM, won when it expires ITM / OTM
+//   Structures:  payoff at the close (structurePayoff) > 0 → PROFIT, else LOSS
+// maxDrawdownPct is the lowest low between trade date and expiry relative to
+// the strike — negative means the strike was breached at some point.
+function positionOutcome(p, ohlcv) {
+  const from = dateToStr(p.tradeDate);
+  const to   = dateToStr(p.expiry);
+  const bars = ohlcv.filter(d => barDay(d.time) >= from && barDay(d.time) <= to);
+  if (!bars.length) return null;
+
+  const strike = outcomeStrike(p);
+  const close  = bars[bars.length - 1].close;
+  const minLow = Math.min(...bars.map(d => d.low));
+  const isCall = p.type === 'call';
+  const bought = p.isSpread ? isCall : p.legs[0].ratio > 0; // verticals: calls as bought, puts as sold
+
+  let result;
+  if (payoffSettled(p))     result = structurePayoff(p, close) > 0 ? 'profit' : 'loss';
+  else if (isCall)          result = close > strike ? 'itm' : 'otm';
+  else if (close >= strike) result = 'otm';
+  else                      result = p.isSpread || bought ? 'itm' : 'assigned';
+
+  return {
+    result,
+    close,
+    maxDrawdownPct: (minLow - strike) / strike * 100,
+    win:            payoffSettled(p) ? result === 'profit' : result === (bought ? 'itm' : 'otm'),
+  };
+}
+
+function outcomeLabel(o) {
+  return o.result === 'assigned' ? 'ASSIGNED' : `EXPIRED ${o.result.toUpperCase()}`;
+}
+
+function outcomeColor(o) {
+  return o.win ? '#00e676' : '#ff3355';
+}
+
+// Dotted line from trade date to expiry, coloured by outcome, with the outcome
+// text as a marker on the expiry bar. Entries join _strikeData so sidebar
+// hover highlighting covers them too.
+function addExpiredLines(positions) {
+  for (const p of positions) {
+    if (!p.outcome) continue;
+    const color = outcomeColor(p.outcome);
+    const width = 1;
+    const makeLine = () => {
+      const s = _chart.addSeries(LightweightCharts.LineSeries, {
+        color,
+        lineWidth:              width,
+        lineStyle:              LightweightCharts.LineStyle.Dotted,
+        lastValueVisible:       false,
+        priceLineVisible:       false,
+        crosshairMarkerVisible: false,
+        autoscaleInfoProvider:  () => null,
+      });
+      s.setData(points);
+      return s;
+    };
 
-  for (let i = 0; i < visible.length; i++) {
-    const item = visible[i];
-    // Stagger labels left/right when they're stacked to aid readability
-    const staggerOffset = (item.adjY > item.y + 10) ? (i % 2 === 0 ? 0 : -160) : 0;
-    item.el.style.display = 'block';
-    item.el.style.left    = `${Math.max(0, item.x + staggerOffset)}px`;
-    item.el.style.top     = `${item.adjY - 7}px`;
+    const points = linePoints(p.tradeDate, p.expiry, p.isSpread ? outcomeStrike(p) : p.strike);
+    if (!points.length) continue;
+    const series = makeLine();
+    LightweightCharts.createSeriesMarkers(series, [{
+      time:     points[1].time,
+      position: 'inBar',
+      shape:    'square',
+      color:    outcomeColor(p.outcome),
+      size:     1,
+      text:     outcomeLabel(p.outcome),
+    }]);
+    _strikeData.push({ p, series, color, width });
   }
 }
 
-// ── Chart ─────────────────────────────────────────────────────────────────────
-
-let _chart         = null;
-let _candlesSeries = null;
-let _labelData     = []; // [{ p, el }] — kept in sync with the current chart
-let _strikeData    = []; // [{ p, series, color, width }] — one entry per strike line
-let _lastOhlcv     = null;   // cached for filter toggle
-let _lastPositions = null;   // cached active positions for filter toggle
-let _filterLarge   = true;   // true = show only notional ≥ $1M
-let _currentMonths = 12;     // current timeframe selection (months of history)
+// Thin dotted companions to a strike line, one per breakeven (a butterfly or
+// condor has two).
+function addBreakevenLines(p, color, lineEnd) {
+  return positionRisk(p).breakevens.filter(be => isFinite(be) && be > 0).map(be => {
+    const s = _chart.addSeries(LightweightCharts.LineSeries, {
+      color,
+      lineWidth:              1,
+      lineStyle:              LightweightCharts.LineStyle.SparseDotted,
+      lastValueVisible:       false,
+      priceLineVisible:       false,
+      crosshairMarkerVisible: false,
+      autoscaleInfoProvider:  () => null,
+    });
+    s.setData(linePoints(p.tradeDate, lineEnd, be));
+    return s;
+  });
+}
 
 function buildChart(ohlcv, positions) {
   const container = document.getElementById('chart-container');
@@ -357,6 +1703,7 @@ function buildChart(ohlcv, positions) {
       timeScale: {
         borderColor:                '#1c2535',
         secondsVisible:             false,
+        timeVisible:                isIntraday(),
         rightOffset:                10,
         barSpacing:                 10,
         fixLeftEdge:                false,
@@ -378,13 +1725,43 @@ function buildChart(ohlcv, positions) {
       return { priceRange: { minValue: Math.max(0, res.priceRange.minValue - pad), maxValue: res.priceRange.maxValue + pad } };
     },
   });
-  candles.setData(ohlcv);
+  // As-of mode: bars after the as-of date stay visible but greyed out.
+  // 21 EMA reclaim bars are painted in the 21 EMA colour when enabled — on
+  // daily bars only, as the reclaim is a daily-close signal.
+  const asOfStr  = dateToStr(asOfDate());
+  const reclaims = _maSettings.reclaim && !isIntraday() ? reclaimTimes(ohlcv) : new Set();
+  candles.setData(ohlcv.map(d => {
+    if (_asOf && barDay(d.time) > asOfStr) return { ...d, color: '#2a3446' };
+    if (reclaims.has(d.time))      return { ...d, color: RECLAIM_COLOR };
+    return d;
+  }));
   _candlesSeries = candles;
 
+  // ── Moving-average overlays ──────────────────────────────
+  addMAOverlays(ohlcv);
+
+  // ── Flow markers — one per trade day, click to filter the sidebar ──
+  const markerPositions = (_lastAllPositions ?? positions)
+    .filter(p => positionPassesFilter(p, asOfClose(ohlcv)));
+  _flowDays = addFlowMarkers(candles, ohlcv, markerPositions);
+  _chart.subscribeClick(param => {
+    if (_annTool) { handleAnnotationClick(param); return; }
+    // Only a click on a flow marker filters; its id is flow|side|barTime
+    const id = typeof param.hoveredObjectId === 'string' ? param.hoveredObjectId : '';
+    const [kind, , time] = id.split('|');
+    if (kind === 'flow' && _flowDays.has(time)) setTradeDayFilter(time);
+  });
+  _chart.subscribeCrosshairMove(updateCrosshairTooltip);
+
+  // ── Volume and daily flow-notional panes ─────────────────
+  // The flow pane sums every print for the ticker; the sidebar filter only
+  // decides which days get a marker.
+  if (_showPanes) addLowerPanes(ohlcv, _lastAllPositions ?? positions);
+
   // ── Invisible future line — forces the time axis to render 90 days ahead ──
   // LightweightCharts only allocates time slots for dates present in series data.
   // Without this, the axis stops at the last candle and right-scroll is blocked.
-  const lastClose = ohlcv.length ? ohlcv[ohlcv.length - 1].close : 0;
+  const lastClose = asOfClose(ohlcv);
 
   // ── Full-width current price line ────────────────────────
   // createPriceLine() spans the entire visible chart width (unlike the built-in
@@ -411,29 +1788,22 @@ function buildChart(ohlcv, positions) {
   for (let i = 1; i <= 90; i++) {
     const d = new Date(futureStart);
     d.setDate(d.getDate() + i);
-    futurePts.push({ time: dateToStr(d), value: lastClose });
+    futurePts.push({ time: toChartTime(d), value: lastClose });
   }
   futureLine.setData(futurePts);
 
-  // ── Filter positions for chart display ───────────────────
-  // >$1M mode: keep all positions with notional ≥ $1M, no price-range gate.
-  //            High-notional strikes are always relevant regardless of distance.
-  // ALL mode:  apply ±60% price range to avoid clutter from cheap distant OTM positions.
-  // Both modes: sort largest-notional first, cap at 8 lines.
-  const lastPrice = ohlcv.length ? ohlcv[ohlcv.length - 1].close : 0;
-
-  const chartPositions = positions
-    .filter(p => {
-      const notional = p.contracts * p.originalPremium * 100;
-      if (_filterLarge) {
-        return notional >= 1_000_000;
-      } else {
-        const strikeRef = p.isSpread ? (p.leg1Strike + p.leg2Strike) / 2 : p.strike;
-        return strikeRef >= lastPrice * 0.40 && strikeRef <= lastPrice * 1.60;
-      }
-    })
-    .sort((a, b) => (b.contracts * b.originalPremium * 100) - (a.contracts * a.originalPremium * 100))
-    .slice(0, 8);
+  // ── Expected-move cone (±1σ / ±2σ) ───────────────────────
+  addExpectedMoveCone(ohlcv, lastClose);
+  document.getElementById('cone-btn').textContent = coneButtonText();
+
+  const lastPrice      = lastClose;
+  const chartPositions = selectChartPositions(positions, lastPrice);
+
+  // The profile and support zones cover every filtered active position — the
+  // uncapped view of the structure the capped strike lines below only sample.
+  const filtered = positions.filter(p => positionPassesFilter(p, lastPrice));
+  _profileData = buildStrikeProfile(filtered);
+  addSupportZones(filtered, lastPrice);
 
   // ── Strike lines ─────────────────────────────────────────
   // Puts: solid line, DTE color. Calls: dashed purple.
@@ -441,14 +1811,13 @@ function buildChart(ohlcv, positions) {
   // autoscaleInfoProvider: () => null keeps strike lines from stretching the y-axis.
   _strikeData = [];
   for (const p of chartPositions) {
-    if (p.type === 'call') continue; // calls shown in overlay panel
-    const isCall  = p.type === 'call';
     const dte     = getDTE(p.expiry);
-    const color   = isCall ? '#aa44ff' : dteColor(dte);
-    const width   = strikeLineWidth(p.contracts, p.originalPremium);
-    const style   = isCall
+    const colorOf = type => (type === 'call' ? '#aa44ff' : dteColor(dte));
+    const styleOf = type => (type === 'call'
       ? LightweightCharts.LineStyle.Dashed
-      : LightweightCharts.LineStyle.Solid;
+      : LightweightCharts.LineStyle.Solid);
+    const color   = colorOf(p.type);
+    const width   = strikeLineWidth(p.contracts, p.originalPremium, p.type);
 
     // Clamp the right endpoint to today+90 so far-dated expiries (e.g. 2028)
     // don't stretch the time axis into years of empty whitespace.
@@ -456,44 +1825,48 @@ function buildChart(ohlcv, positions) {
     const lineEnd = p.expiry < farDate ? p.expiry : farDate;
 
     if (p.isSpread) {
-      // Draw one line per leg; store both refs so hover can brighten/dim together.
-      const makeLeg = strikeVal => {
+      // Draw one line per leg, each ending at its own expiry (a calendar's
+      // front month stops early) and styled by the leg's own type, so a
+      // collar shows a solid put and a dashed call; store every ref so hover
+      // can brighten/dim them together.
+      const legSeries = p.legs.map(leg => {
         const s = _chart.addSeries(LightweightCharts.LineSeries, {
-          color,
+          color:                  colorOf(leg.type),
           lineWidth:              width,
-          lineStyle:              style,
+          lineStyle:              styleOf(leg.type),
           lastValueVisible:       false,
           priceLineVisible:       false,
           crosshairMarkerVisible: false,
           autoscaleInfoProvider:  () => null,
         });
-        s.setData([
-          { time: dateToStr(p.tradeDate), value: strikeVal },
-          { time: dateToStr(lineEnd),     value: strikeVal },
-        ]);
+        s.setData(linePoints(p.tradeDate, leg.expiry < farDate ? leg.expiry : farDate, leg.strike));
         return s;
-      };
-      const series1 = makeLeg(p.leg1Strike);
-      const series2 = makeLeg(p.leg2Strike);
-      _strikeData.push({ p, series1, series2, isSpread: true, color, width });
+      });
+      const beSeries = _showBreakeven ? addBreakevenLines(p, color, lineEnd) : [];
+      const legColors = p.legs.map(leg => colorOf(leg.type));
+      _strikeData.push({ p, legSeries, legColors, beSeries, isSpread: true, color, width });
     } else {
       const series = _chart.addSeries(LightweightCharts.LineSeries, {
         color,
         lineWidth:              width,
-        lineStyle:              style,
+        lineStyle:              styleOf(p.type),
         lastValueVisible:       false,
         priceLineVisible:       false,
         crosshairMarkerVisible: false,
         autoscaleInfoProvider:  () => null,
       });
-      series.setData([
-        { time: dateToStr(p.tradeDate), value: p.strike },
-        { time: dateToStr(lineEnd),     value: p.strike },
-      ]);
-      _strikeData.push({ p, series, color, width });
+      series.setData(linePoints(p.tradeDate, lineEnd, p.strike));
+      const beSeries = _showBreakeven ? addBreakevenLines(p, color, lineEnd) : [];
+      _strikeData.push({ p, series, beSeries, color, width });
     }
   }
 
+  // ── Expired positions — replayed trade date → expiry ─────
+  if (_showExpired) addExpiredLines(selectChartPositions(_lastExpired ?? [], lastPrice));
+
+  // ── User annotations for this ticker ─────────────────────
+  drawAnnotations(candles);
+
   // Set the initial visible range to the current timeframe selection.
   // Done inline (not in rAF) so the label positions computed one frame later
   // already reflect the correct coordinate mapping.
@@ -501,121 +1874,528 @@ function buildChart(ohlcv, positions) {
 
     // Wait one frame for the range to settle, then place labels.
     requestAnimationFrame(() => createLabels(chartPositions));
+    if (_pinnedKey) highlightStrike(pinnedPosition());
   });
 }
 
 // ── Sidebar (section 02 — Active Positions) ───────────────────────────────────
 
+const SIDEBAR_VIEW_STORAGE_KEY = 'sidebar_view';
+
+// Card order. Trade date (newest first) is the original order.
+const SIDEBAR_SORTS = {
+  trade:    { label: 'TRADED',   cmp: (a, b) => b.tradeDate - a.tradeDate },
+  notional: { label: 'NOTIONAL', cmp: (a, b) => b.contracts * b.originalPremium - a.contracts * a.originalPremium },
+  dte:      { label: 'DTE',      cmp: (a, b) => a.expiry - b.expiry || b.tradeDate - a.tradeDate },
+  strike:   { label: 'STRIKE',   cmp: (a, b) => strikeRef(b) - strikeRef(a) || a.expiry - b.expiry },
+};
+
+// Group headers: `of` maps a position to its group, `cmp` orders group keys.
+const SIDEBAR_GROUPS = {
+  none:   null,
+  expiry: {
+    label: 'EXPIRY MONTH',
+    of: p => ({
+      key:   p.expiry.getFullYear() * 12 + p.expiry.getMonth(),
+      label: p.expiry.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }).toUpperCase(),
+    }),
+    cmp: (a, b) => a - b,
+  },
+  strike: {
+    label: 'STRIKE',
+    of: p => ({
+      key:   strikeRef(p),
+      label: p.isSpread ? p.strike : `$${+p.strike.toFixed(2)}`,
+    }),
+    cmp: (a, b) => b - a,
+  },
+};
+
+function loadSidebarView() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SIDEBAR_VIEW_STORAGE_KEY) ?? 'null');
+    return {
+      sort:  SIDEBAR_SORTS[saved?.sort] ? saved.sort : 'trade',
+      group: saved?.group in SIDEBAR_GROUPS ? saved.group : 'none',
+    };
+  } catch {
+    return { sort: 'trade', group: 'none' };
+  }
+}
+
+let _sidebarView     = loadSidebarView(); // { sort, group } — persisted
+let _collapsedGroups = new Set();         // `${group}|${key}` of folded group headers
+let _expandedCards   = new Set();         // positionKey of unfolded block / structure cards
+
+function initSidebarControls() {
+  const sortSel  = document.getElementById('sb-sort');
+  const groupSel = document.getElementById('sb-group');
+  sortSel.innerHTML  = Object.entries(SIDEBAR_SORTS)
+    .map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('');
+  groupSel.innerHTML = Object.entries(SIDEBAR_GROUPS)
+    .map(([k, v]) => `<option value="${k}">${v ? v.label : 'NONE'}</option>`).join('');
+  sortSel.value  = _sidebarView.sort;
+  groupSel.value = _sidebarView.group;
+
+  const onChange = () => {
+    _sidebarView = { sort: sortSel.value, group: groupSel.value };
+    localStorage.setItem(SIDEBAR_VIEW_STORAGE_KEY, JSON.stringify(_sidebarView));
+    document.querySelector('.stab.stab-on')?.click();
+  };
+  sortSel.addEventListener('change', onChange);
+  groupSel.addEventListener('change', onChange);
+}
+
+// The positions the sidebar shows: those passing the filters and, when a flow
+// marker was clicked, printed on that day.
+function sidebarPositions(positions) {
+  const lastPrice = asOfClose(_lastOhlcv);
+  positions = positions.filter(p => positionPassesFilter(p, lastPrice));
+  if (_tradeDayFilter) {
+    const days = _flowDays.get(_tradeDayFilter) ?? new Set();
+    positions = positions.filter(p => days.has(dateToStr(p.tradeDate)));
+  }
+  return positions;
+}
+
 function renderSidebarCards(positions, isExpired) {
   const cardsEl = document.getElementById('sidebar-cards');
 
+  renderTradeDayChip();
+  const lastPrice = asOfClose(_lastOhlcv);
+  positions = sidebarPositions(positions);
+
   if (!positions.length) {
-    cardsEl.innerHTML = `<div class="sidebar-empty">${isExpired ? 'No expired positions' : 'No active positions'}</div>`;
+    const empty = _tradeDayFilter ? `No prints on ${barDay(_tradeDayFilter)}`
+      : isExpired ? 'No expired positions' : 'No active positions';
+    cardsEl.innerHTML = `<div class="sidebar-empty">${empty}</div>`;
     return;
   }
 
   cardsEl.innerHTML = '';
 
-  // Deduplicate spread positions: one card per unique (type+expiry+tradeDate+strike).
-  const seenSpreads = new Set();
-  const deduped = [...positions]
-    .sort((a, b) => b.tradeDate - a.tradeDate)
-    .filter(p => {
-      if (!p.isSpread) return true;
-      const key = `${p.type}|${dateToStr(p.expiry)}|${dateToStr(p.tradeDate)}|${p.strike}`;
-      if (seenSpreads.has(key)) return false;
-      seenSpreads.add(key);
-      return true;
-    });
+  // One card per block (aggregateBlocks already merged same-day prints of a
+  // contract), and one per linked put/call pair whose legs both passed the
+  // filters — placed where its first leg sorts.
+  const units = [];
+  for (const p of [...positions].sort(SIDEBAR_SORTS[_sidebarView.sort].cmp)) {
+    const link = p.link && positions.includes(p.link.put) && positions.includes(p.link.call) ? p.link : null;
+    if (!link) units.push(p);
+    else if (!units.includes(link)) units.push(link);
+  }
 
-  deduped.forEach(p => {
-      const dte      = getDTE(p.expiry);
-      const isCall   = p.type === 'call';
-      const typeCol  = isCall ? '#aa44ff' : dteColor(dte);
-      const typeStr  = isCall ? 'CALL' : 'PUT';
-
-      const dteLabel  = isExpired ? 'Expired' : 'DTE';
-      const dteVal    = isExpired
-        ? p.expiry.toLocaleDateString()
-        : `<span style="color:${dteColor(dte)}">${dte}d</span>`;
-
-      let strikeDisplay, notionalLabel;
-      if (p.isSpread) {
-        strikeDisplay = p.strike;                       // raw string e.g. "140/230C"
-        notionalLabel = p.netLabel || '';
-      } else {
-        const sf = p.strike % 1 === 0 ? p.strike.toFixed(0) : p.strike.toFixed(2);
-        strikeDisplay = `$${sf}`;
-        notionalLabel = '';
-      }
+  // ▸ / ▾ on block and structure cards; re-renders the open tab like the
+  // group headers do
+  const toggleExpanded = (e, key) => {
+    e.stopPropagation();
+    if (!_expandedCards.delete(key)) _expandedCards.add(key);
+    document.querySelector('.stab.stab-on')?.click();
+  };
+
+  const appendCard = (p, parent = cardsEl) => {
+    const dte      = getDTE(p.expiry);
+    const isCall   = p.type === 'call';
+    const typeCol  = isCall ? '#aa44ff' : dteColor(dte);
+    const typeStr  = isCall ? 'CALL' : 'PUT';
+
+    const dteLabel  = isExpired ? 'Expired' : 'DTE';
+    const dteVal    = isExpired
+      ? p.expiry.toLocaleDateString()
+      : `<span style="color:${dteColor(dte)}">${dte}d</span>`;
+
+    let strikeDisplay, notionalLabel;
+    if (p.isSpread) {
+      strikeDisplay = p.strike;                       // raw string e.g. "140/230C"
+      notionalLabel = p.netLabel || '';
+    } else {
+      const sf = p.strike % 1 === 0 ? p.strike.toFixed(0) : p.strike.toFixed(2);
+      strikeDisplay = `$${sf}`;
+      notionalLabel = '';
+    }
 
-      const card = document.createElement('div');
-      card.className = isExpired ? 'pos-card pos-card--expired' : 'pos-card';
-      card.innerHTML = `
+    // A block of several prints unfolds into one row per print
+    const cardKey  = positionKey(p);
+    const open     = _expandedCards.has(cardKey);
+    const printsBadge = p.prints.length > 1
+      ? `<span class="pos-expand">${open ? '▾' : '▸'} ${p.prints.length} PRINTS</span>` : '';
+    const printRows = p.prints.length > 1 && open ? p.prints.map((pr, i) => `
+        <span class="pos-detail-lbl">Print ${i + 1}</span>
+        <span class="pos-detail-val">${pr.contracts.toLocaleString()}x @ ${fmtPrem(pr.originalPremium)} · ${fmtMoney(pr.notional)}</span>`).join('') : '';
+
+    const outcome = isExpired ? p.outcome : null;
+    const outcomeBadge = outcome
+      ? `<span class="pos-outcome-badge" style="color:${outcomeColor(outcome)}">${outcomeLabel(outcome)}</span>`
+      : '';
+    const outcomeRows = outcome ? `
+        <span class="pos-detail-lbl">Close @ Exp</span>
+        <span class="pos-detail-val">$${outcome.close.toFixed(2)}</span>
+        <span class="pos-detail-lbl">Max DD to Strike</span>
+        <span class="pos-detail-val" style="color:${outcome.maxDrawdownPct < 0 ? 'var(--dn)' : 'var(--fg2)'}">${outcome.maxDrawdownPct >= 0 ? '+' : ''}${outcome.maxDrawdownPct.toFixed(1)}%</span>` : '';
+
+    // Breakeven(s), their distance from the last close, and max profit / loss
+    const risk    = positionRisk(p);
+    const beText  = be => {
+      const beDist = lastPrice > 0 ? (be - lastPrice) / lastPrice * 100 : null;
+      return `$${be.toFixed(2)}${beDist != null ? ` <span style="color:var(--fg3)">(${beDist >= 0 ? '+' : ''}${beDist.toFixed(1)}%)</span>` : ''}`;
+    };
+    const riskRows = `
+        <span class="pos-detail-lbl">Breakeven</span>
+        <span class="pos-detail-val">${risk.breakevens.map(beText).join(' / ') || '—'}</span>
+        <span class="pos-detail-lbl">Max P / L</span>
+        <span class="pos-detail-val">${fmtRiskPair(risk)}</span>`;
+
+    // Every leg of a structure beyond a plain vertical
+    const legRows = p.isSpread && p.structure !== 'vertical' ? `
+        <span class="pos-detail-lbl">Legs</span>
+        <span class="pos-detail-val">${p.legs.map(l => fmtLeg(l, p)).join('<br>')}</span>` : '';
+
+    const card = document.createElement('div');
+    card.className = isExpired ? 'pos-card pos-card--expired' : 'pos-card';
+    card.innerHTML = `
+      <div class="pos-card-top">
+        <span class="pos-type-badge" style="color:${typeCol}">${typeStr}</span>
+        ${p.isSpread ? `<span class="pos-spread-badge">${STRUCTURE_LABELS[p.structure]}</span>` : ''}
+        <span class="pos-strike" style="color:${typeCol}">${strikeDisplay}</span>
+        ${outcomeBadge}${printsBadge}
+      </div>
+      <div class="pos-details">
+        <span class="pos-detail-lbl">Expiry</span>
+        <span class="pos-detail-val">${p.expiry.toLocaleDateString()}</span>
+        <span class="pos-detail-lbl">${dteLabel}</span>
+        <span class="pos-detail-val">${dteVal}</span>
+        <span class="pos-detail-lbl">Contracts</span>
+        <span class="pos-detail-val">${p.contracts.toLocaleString()}</span>
+        <span class="pos-detail-lbl">${notionalLabel}</span>
+        <span class="pos-detail-val" style="color:var(--fg3)">${fmtMoney(p.contracts * p.originalPremium * 100)}</span>
+        <span class="pos-detail-lbl">Traded</span>
+        <span class="pos-detail-val">${p.tradeDate.toLocaleDateString()}</span>${printRows}${legRows}${riskRows}${outcomeRows}
+      </div>
+    `;
+    if (positionKey(p) === _pinnedKey) card.classList.add('pos-card--locked');
+    card.querySelector('.pos-expand')?.addEventListener('click', e => toggleExpanded(e, cardKey));
+    parent.appendChild(card);
+
+    // Highlight the corresponding strike line(s) when hovering this card;
+    // clicking pins the highlight, opens the detail drawer and puts the
+    // position in the shareable URL. Clicking again unpins it.
+    card.addEventListener('mouseenter', () => highlightStrike(p));
+    card.addEventListener('mouseleave', () => highlightStrike(pinnedPosition()));
+    card.addEventListener('click', () => {
+      _pinnedKey = positionKey(p) === _pinnedKey ? null : positionKey(p);
+      document.querySelectorAll('.pos-card--locked').forEach(c => c.classList.remove('pos-card--locked'));
+      card.classList.toggle('pos-card--locked', !!_pinnedKey);
+      highlightStrike(pinnedPosition());
+      renderPositionDrawer();
+      syncUrl();
+    });
+  };
+
+  // Linked put/call pair: a summary card — kind, both strikes, net premium —
+  // that unfolds into the two leg cards. Hovering it highlights both lines.
+  const appendStructureCard = link => {
+    const { put, call } = link;
+    const key  = `link|${positionKey(put)}`;
+    const open = _expandedCards.has(key);
+    const net  = linkNet(link);
+    const dte  = getDTE(put.expiry);
+
+    const card = document.createElement('div');
+    card.className = isExpired ? 'pos-card pos-card--linked pos-card--expired' : 'pos-card pos-card--linked';
+    card.innerHTML = `
         <div class="pos-card-top">
-          <span class="pos-type-badge" style="color:${typeCol}">${typeStr}</span>
-          ${p.isSpread ? '<span class="pos-spread-badge">SPREAD</span>' : ''}
-          <span class="pos-strike" style="color:${typeCol}">${strikeDisplay}</span>
+          <span class="pos-spread-badge">${STRUCTURE_LABELS[link.kind]}</span>
+          <span class="pos-strike"><span style="color:${dteColor(dte)}">${+put.strike.toFixed(2)}P</span> / <span style="color:#aa44ff">${+call.strike.toFixed(2)}C</span></span>
+          <span class="pos-expand">${open ? '▾' : '▸'} 2 LEGS</span>
         </div>
         <div class="pos-details">
           <span class="pos-detail-lbl">Expiry</span>
-          <span class="pos-detail-val">${p.expiry.toLocaleDateString()}</span>
-          <span class="pos-detail-lbl">${dteLabel}</span>
-          <span class="pos-detail-val">${dteVal}</span>
+          <span class="pos-detail-val">${put.expiry.toLocaleDateString()}</span>
+          <span class="pos-detail-lbl">${isExpired ? 'Expired' : 'DTE'}</span>
+          <span class="pos-detail-val">${isExpired ? put.expiry.toLocaleDateString() : `<span style="color:${dteColor(dte)}">${dte}d</span>`}</span>
           <span class="pos-detail-lbl">Contracts</span>
-          <span class="pos-detail-val">${p.contracts.toLocaleString()}</span>
-          <span class="pos-detail-lbl">${notionalLabel}</span>
-          <span class="pos-detail-val" style="color:var(--fg3)">${fmtMoney(p.contracts * p.originalPremium * 100)}</span>
+          <span class="pos-detail-val">${put.contracts.toLocaleString()} / ${call.contracts.toLocaleString()}</span>
+          <span class="pos-detail-lbl">${net > 0 ? 'NET DEBIT' : 'NET CREDIT'}</span>
+          <span class="pos-detail-val" style="color:var(--fg3)">${fmtMoney(Math.abs(net))}</span>
           <span class="pos-detail-lbl">Traded</span>
-          <span class="pos-detail-val">${p.tradeDate.toLocaleDateString()}</span>
-        </div>
-      `;
-      cardsEl.appendChild(card);
-
-      // Highlight the corresponding strike line(s) when hovering this card
-      card.addEventListener('mouseenter', () => {
-        const entry = _strikeData.find(d => d.p === p);
-        if (!entry) return;
-        const hoverColor = p.type === 'call' ? '#cc66ff' : '#40dfff';
-        if (entry.isSpread) {
-          entry.series1.applyOptions({ color: hoverColor, lineWidth: Math.min(entry.width + 2, 4) });
-          entry.series2.applyOptions({ color: hoverColor, lineWidth: Math.min(entry.width + 2, 4) });
-        } else {
-          entry.series.applyOptions({ color: hoverColor, lineWidth: Math.min(entry.width + 2, 4) });
-        }
-        // Dim all other strike lines
-        _strikeData.forEach(e => {
-          if (e === entry) return;
-          const dim = e.color + '33';
-          if (e.isSpread) {
-            e.series1.applyOptions({ color: dim });
-            e.series2.applyOptions({ color: dim });
-          } else {
-            e.series.applyOptions({ color: dim });
-          }
-        });
-      });
-      card.addEventListener('mouseleave', () => {
-        // Restore all strike lines to their original colour and width
-        _strikeData.forEach(e => {
-          if (e.isSpread) {
-            e.series1.applyOptions({ color: e.color, lineWidth: e.width });
-            e.series2.applyOptions({ color: e.color, lineWidth: e.width });
-          } else {
-            e.series.applyOptions({ color: e.color, lineWidth: e.width });
-          }
-        });
-      });
+          <span class="pos-detail-val">${put.tradeDate.toLocaleDateString()}</span>
+        </div>`;
+    card.addEventListener('mouseenter', () => highlightStrike(put));
+    card.addEventListener('mouseleave', () => highlightStrike(pinnedPosition()));
+    card.addEventListener('click', e => toggleExpanded(e, key));
+    cardsEl.appendChild(card);
+
+    if (!open) return;
+    const legs = document.createElement('div');
+    legs.className = 'pos-legs';
+    cardsEl.appendChild(legs);
+    appendCard(put, legs);
+    appendCard(call, legs);
+  };
+
+  const appendUnit = u => (u.put ? appendStructureCard(u) : appendCard(u));
+
+  const groupBy = SIDEBAR_GROUPS[_sidebarView.group];
+  if (!groupBy) {
+    units.forEach(appendUnit);
+    return;
+  }
+
+  // Groups keep the sort order inside; the groups themselves run in key order.
+  // A linked pair files under its put.
+  const groups = new Map();
+  for (const u of units) {
+    const { key, label } = groupBy.of(u.put ?? u);
+    if (!groups.has(key)) groups.set(key, { key, label, items: [] });
+    groups.get(key).items.push(u);
+  }
+  for (const g of [...groups.values()].sort((a, b) => groupBy.cmp(a.key, b.key))) {
+    const members   = g.items.flatMap(unitMembers);
+    const contracts = members.reduce((s, p) => s + p.contracts, 0);
+    const notional  = members.reduce((s, p) => s + p.contracts * p.originalPremium * 100, 0);
+    const collapsed = _collapsedGroups.has(`${_sidebarView.group}|${g.key}`);
+    const hdr = document.createElement('div');
+    hdr.className = collapsed ? 'pos-group-hdr pos-group-hdr--collapsed' : 'pos-group-hdr';
+    hdr.innerHTML = `
+      <span class="pos-group-lbl">${collapsed ? '▸' : '▾'} ${g.label}</span>
+      <span class="pos-group-tot">${g.items.length} · ${contracts.toLocaleString()}x · ${fmtMoney(notional)}</span>`;
+    hdr.addEventListener('click', () => {
+      const id = `${_sidebarView.group}|${g.key}`;
+      if (!_collapsedGroups.delete(id)) _collapsedGroups.add(id);
+      document.querySelector('.stab.stab-on')?.click();
+    });
+    cardsEl.appendChild(hdr);
+    if (!collapsed) g.items.forEach(appendUnit);
+  }
+}
+
+// Identity of a position across reloads — type, expiry, trade date, strike.
+function positionKey(p) {
+  return `${p.type}|${dateToStr(p.expiry)}|${dateToStr(p.tradeDate)}|${p.strike}`;
+}
+
+function pinnedPosition() {
+  return _pinnedKey ? (_lastAllPositions ?? []).find(p => positionKey(p) === _pinnedKey) ?? null : null;
+}
+
+// Brighten one position's strike line(s) — both legs' for a linked put/call
+// pair — and dim every other line. With no position (or one without a line on
+// the chart) all lines are restored.
+function highlightStrike(p) {
+  const unit    = p ? unitMembers(p.link ?? p) : [];
+  const entries = _strikeData.filter(d => unit.includes(d.p));
+  _strikeData.forEach(e => {
+    const on    = entries.includes(e);
+    const shade = (base, type) => (!entries.length ? base : on ? (type === 'call' ? '#cc66ff' : '#40dfff') : base + '33');
+    const color = shade(e.color, e.p.type);
+    const width = on ? Math.min(e.width + 2, 4) : e.width;
+    if (e.isSpread) {
+      e.legSeries.forEach((s, i) => s.applyOptions({ color: shade(e.legColors[i], e.p.legs[i].type), lineWidth: width }));
+    } else {
+      e.series.applyOptions({ color, lineWidth: width });
+    }
+    e.beSeries?.forEach(s => s.applyOptions({ color }));
+  });
+}
+
+// ── Position detail drawer ────────────────────────────────────────────────────
+// Opens above the cards for the pinned position: premium then vs now, holding
+// period, distance to strike and the spread legs, plus a mini chart of the
+// close against the strike since the trade date.
+
+let _drawerChart = null; // LightweightCharts instance inside #drawer-chart
+
+function fmtPrem(v) {
+  return isFinite(v) ? `$${v.toFixed(2)}` : '—';
+}
+
+function fmtPct(v) {
+  return `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`;
+}
+
+// "+1 100C", "−2 105C"; legs expiring before the position also get their
+// date ("−1 100C Jun 19") so a calendar's front month reads as such.
+function fmtLeg(leg, p) {
+  const side = leg.ratio > 0 ? '+' : '−';
+  const day  = +leg.expiry !== +p.expiry
+    ? ` ${leg.expiry.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}` : '';
+  return `${side}${Math.abs(leg.ratio)} ${+leg.strike.toFixed(2)}${leg.type === 'call' ? 'C' : 'P'}${day}`;
+}
+
+// Max profit / max loss, ∞ where unbounded
+function fmtRiskPair(risk) {
+  const money = v => (v == null ? '∞' : fmtMoney(v));
+  return `<span style="color:var(--up)">${money(risk.maxProfit)}</span> / <span style="color:var(--dn)">${money(risk.maxLoss)}</span>`;
+}
+
+// Premium change in the position's favour: a sold put or credit spread gains
+// as premium decays, a bought call or debit spread gains as it rises.
+function premiumPnl(p) {
+  if (!isFinite(p.currentPremium) || !isFinite(p.originalPremium)) return null;
+  const short = p.isSpread ? /credit/i.test(p.netLabel ?? '') : p.legs[0].ratio < 0;
+  const diff  = p.currentPremium - p.originalPremium;
+  return (short ? -diff : diff) * p.contracts * 100;
+}
+
+function renderPositionDrawer() {
+  const drawer = document.getElementById('pos-drawer');
+  const p      = pinnedPosition();
+  if (_drawerChart) { _drawerChart.remove(); _drawerChart = null; }
+  drawer.hidden = !p;
+  if (!p) return;
+
+  const asOf      = asOfDate();
+  const expired   = p.expiry < asOf;
+  const lastClose = asOfClose(_dailyOhlcv);
+  const risk      = positionRisk(p);
+  const isCall    = p.type === 'call';
+  const color     = isCall ? '#aa44ff' : dteColor(getDTE(p.expiry));
+  const heldTo    = expired ? p.expiry : asOf;
+  const daysHeld  = Math.round((heldTo - p.tradeDate) / 86_400_000);
+  const dist      = strike => lastClose > 0 ? fmtPct((strike - lastClose) / lastClose * 100) : '—';
+  const row       = (lbl, val) =>
+    `<span class="pos-detail-lbl">${lbl}</span><span class="pos-detail-val">${val}</span>`;
+
+  const premChange = isFinite(p.currentPremium) && p.originalPremium > 0
+    ? (p.currentPremium - p.originalPremium) / p.originalPremium * 100
+    : null;
+  const pnl = premiumPnl(p);
+
+  document.getElementById('drawer-title').innerHTML =
+    `<span style="color:${color}">${p.structure === 'single' || p.structure === 'vertical' ? (isCall ? 'CALL' : 'PUT') : STRUCTURE_LABELS[p.structure]} ${p.isSpread ? p.strike : `$${+p.strike.toFixed(2)}`}</span>` +
+    ` · ${dateToStr(p.expiry)}${p.isSpread && p.netLabel ? ` · ${p.netLabel}` : ''}`;
+
+  const legRows = p.structure === 'vertical' ? [
+    row(`Leg 1 · $${p.leg1Strike}`, fmtPrem(p.leg1Premium)),
+    row(`Leg 2 · $${p.leg2Strike}`, fmtPrem(p.leg2Premium)),
+    row('Net', `${fmtPrem(p.originalPremium)} ${p.netLabel ?? ''}`),
+  ] : p.isSpread ? [
+    ...p.legs.map((l, i) => row(`Leg ${i + 1} · ${fmtLeg(l, p)}`, dist(l.strike))),
+    row('Net', `${fmtPrem(p.originalPremium)} ${p.netLabel ?? ''}`),
+  ] : [];
+  const distRows = p.structure === 'vertical'
+    ? [row('To Leg 1 / Leg 2', `${dist(p.leg1Strike)} / ${dist(p.leg2Strike)}`)]
+    : p.isSpread ? [] : [row('To Strike', dist(p.strike))];
+
+  document.getElementById('drawer-stats').innerHTML = [
+    row('Original Prem', fmtPrem(p.originalPremium)),
+    row('Current Prem', premChange == null ? fmtPrem(p.currentPremium)
+      : `${fmtPrem(p.currentPremium)} <span style="color:var(--fg3)">(${fmtPct(premChange)})</span>`),
+    ...(pnl == null ? [] : [row('Prem P&L', `<span style="color:${pnl >= 0 ? 'var(--up)' : 'var(--dn)'}">${pnl >= 0 ? '+' : '−'}${fmtMoney(Math.abs(pnl))}</span>`)]),
+    row('Contracts', p.contracts.toLocaleString()),
+    row('Notional', fmtMoney(p.contracts * p.originalPremium * 100)),
+    row('Traded', p.tradeDate.toLocaleDateString()),
+    row('Days Held', `${daysHeld}d`),
+    row(expired ? 'Expired' : 'DTE', expired ? p.expiry.toLocaleDateString() : `<span style="color:${dteColor(getDTE(p.expiry))}">${getDTE(p.expiry)}d</span>`),
+    row(_asOf ? `Close ${dateToStr(asOf)}` : 'Last Close', fmtPrem(lastClose)),
+    ...distRows,
+    row('Breakeven', risk.breakevens.map(be => `${fmtPrem(be)} <span style="color:var(--fg3)">(${dist(be)})</span>`).join(' / ') || '—'),
+    row('Max P / L', fmtRiskPair(risk)),
+    ...legRows,
+    ...(p.outcome ? [row('Outcome', `<span style="color:${outcomeColor(p.outcome)}">${outcomeLabel(p.outcome)}</span>`)] : []),
+  ].join('');
+
+  // Mini chart: daily closes from the trade date to expiry (or the as-of date),
+  // with the strike(s) and breakeven as price lines kept inside the autoscale.
+  const from   = dateToStr(p.tradeDate);
+  const to     = dateToStr(heldTo);
+  const closes = (_dailyOhlcv ?? [])
+    .filter(d => d.time >= from && d.time <= to)
+    .map(d => ({ time: d.time, value: d.close }));
+  const chartEl = document.getElementById('drawer-chart');
+  chartEl.hidden = closes.length < 2;
+  if (chartEl.hidden) return;
+
+  const levels = [
+    ...[...new Set(p.legs.map(l => l.strike))].map(price => ({ price, color, style: 'Solid' })),
+    ...risk.breakevens.filter(be => isFinite(be) && be > 0).map(price => ({ price, color, style: 'SparseDotted' })),
+  ];
+  _drawerChart = LightweightCharts.createChart(chartEl, {
+    width:  chartEl.clientWidth,
+    height: chartEl.clientHeight || 120,
+    layout: { background: { type: 'solid', color: '#07090d' }, textColor: '#5a6a80', fontSize: 9 },
+    grid:   { vertLines: { visible: false }, horzLines: { color: '#111820' } },
+    rightPriceScale: { borderColor: '#1c2535' },
+    timeScale:       { borderColor: '#1c2535' },
+    handleScroll: false,
+    handleScale:  false,
+  });
+  const line = _drawerChart.addSeries(LightweightCharts.LineSeries, {
+    color:            '#c8d8ea',
+    lineWidth:        1,
+    priceLineVisible: false,
+    autoscaleInfoProvider: original => {
+      const res = original();
+      if (!res) return res;
+      const prices = levels.map(l => l.price);
+      res.priceRange.minValue = Math.min(res.priceRange.minValue, ...prices);
+      res.priceRange.maxValue = Math.max(res.priceRange.maxValue, ...prices);
+      return res;
+    },
+  });
+  line.setData(closes);
+  for (const l of levels) {
+    line.createPriceLine({
+      price:            l.price,
+      color:            l.color,
+      lineWidth:        1,
+      lineStyle:        LightweightCharts.LineStyle[l.style],
+      axisLabelVisible: true,
+      title:            '',
     });
+  }
+  _drawerChart.timeScale().fitContent();
 }
 
-function buildSidebar(ticker, active, expired) {
-  const infoEl = document.getElementById('sidebar-info');
-  const totalMV = active.reduce((s, p) => s + p.contracts * p.originalPremium * 100, 0);
-  infoEl.textContent = active.length
-    ? `${ticker} · ${fmtMoney(totalMV)} deployed`
-    : `${ticker} · no active positions`;
+// Unpin the position, which closes the drawer and restores the strike lines.
+function closePositionDrawer() {
+  _pinnedKey = null;
+  document.querySelectorAll('.pos-card--locked').forEach(c => c.classList.remove('pos-card--locked'));
+  highlightStrike(null);
+  renderPositionDrawer();
+  syncUrl();
+}
 
+// Chip above the cards showing the active trade-day filter; ✕ clears it.
+function renderTradeDayChip() {
+  const chip = document.getElementById('sidebar-filter');
+  chip.hidden = !_tradeDayFilter;
+  if (_tradeDayFilter) chip.innerHTML = `PRINTS ON ${barDay(_tradeDayFilter)} <button class="chip-x" title="Clear">✕</button>`;
+}
+
+// Filter the sidebar to the prints behind one flow marker. If the day only has
+// expired prints, flip to the EXPIRED tab so the click never lands on nothing.
+function setTradeDayFilter(barTime) {
+  _tradeDayFilter = barTime;
+  const days = _flowDays.get(barTime) ?? new Set();
+  const onDay = p => days.has(dateToStr(p.tradeDate));
+  const hasActive = (_lastPositions ?? []).some(onDay);
+  const tab = hasActive ? 'active' : 'expired';
+  document.querySelector(`.stab[data-tab="${tab}"]`)?.click();
+}
+
+// PUT / CALL split of the active positions the ACTIVE tab shows, so it follows
+// the same filters as the cards.
+function renderSidebarInfo(ticker, active) {
+  const infoEl  = document.getElementById('sidebar-info');
+  const shown   = sidebarPositions(active);
+  const totalMV = shown.reduce((s, p) => s + p.contracts * p.originalPremium * 100, 0);
+  const callMV  = shown
+    .filter(p => p.type === 'call')
+    .reduce((s, p) => s + p.contracts * p.originalPremium * 100, 0);
+  const putMV   = totalMV - callMV;
+  const putPct  = totalMV > 0 ? putMV / totalMV * 100 : 0;
+  infoEl.innerHTML = !active.length ? `${ticker} · no active positions`
+    : !shown.length ? `${ticker} · no active positions match the filters`
+    : `
+    <div class="info-split">
+      <span style="color:var(--accent)">PUT ${fmtMoney(putMV)} · ${putPct.toFixed(0)}%</span>
+      <span style="color:var(--call)">CALL ${fmtMoney(callMV)} · ${(100 - putPct).toFixed(0)}%</span>
+    </div>
+    <div class="info-split-bar"><span style="width:${putPct}%"></span></div>
+    <div>${ticker} · ${fmtMoney(totalMV)} deployed</div>`;
+}
+
+function buildSidebar(ticker, active, expired) {
   // Reset to ACTIVE tab
   document.querySelectorAll('.stab').forEach(t => t.classList.remove('stab-on'));
   document.querySelector('.stab[data-tab="active"]').classList.add('stab-on');
@@ -625,13 +2405,503 @@ function buildSidebar(ticker, active, expired) {
     tab.onclick = () => {
       document.querySelectorAll('.stab').forEach(t => t.classList.remove('stab-on'));
       tab.classList.add('stab-on');
+      renderSidebarInfo(ticker, active);
       renderSidebarCards(tab.dataset.tab === 'expired' ? expired : active, tab.dataset.tab === 'expired');
+      syncUrl();
     };
   });
 
+  renderSidebarInfo(ticker, active);
   renderSidebarCards(active, false);
 }
 
+// ── Ticker search and watchlist ───────────────────────────────────────────────
+// Autocomplete is built from the distinct symbols in positions.json so a typo
+// is caught before the Yahoo round trip. The rail holds starred tickers then
+// recently loaded ones; [ and ] step through it when no input has focus, and
+// ↑/↓ while the rail or the search box (with its dropdown closed) has focus,
+// so the arrow keys still scroll the page everywhere else.
+
+const WATCHLIST_STORAGE_KEY = 'chart_watchlist';
+const RECENT_STORAGE_KEY    = 'chart_recent_tickers';
+const RECENT_MAX            = 12;
+const SUGGEST_MAX           = 8;
+const RECENT_FLOW_DAYS      = 30; // window for the "recent notional" ranking
+
+let _symbolIndex  = null; // Promise → [{ symbol, recentMv, totalMv, active }]
+let _suggestItems = [];   // symbols currently shown in the dropdown
+let _suggestIdx   = -1;   // highlighted dropdown row
+
+function loadTickerList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(list) ? list.filter(t => typeof t === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveTickerList(key, list) {
+  localStorage.setItem(key, JSON.stringify(list));
+}
+
+// One pass over positions.json, cached for the session. Notional uses the same
+// premium choice as fetchPutFlowData (net_premium for spreads). "Recent" is
+// measured back from the newest trade date in the file, not the clock, so a
+// stale export still ranks sensibly.
+function fetchSymbolIndex() {
+  _symbolIndex ??= loadPositions()
+    .then(({ positions }) => {
+      const today  = new Date();
+      today.setHours(0, 0, 0, 0);
+      const latest = Math.max(0, ...positions.map(p => p.tradeDate.getTime()));
+      const recent = new Date(latest);
+      recent.setDate(recent.getDate() - RECENT_FLOW_DAYS);
+
+      const bySymbol = new Map();
+      for (const p of positions) {
+        if (!bySymbol.has(p.symbol)) bySymbol.set(p.symbol, { symbol: p.symbol, recentMv: 0, totalMv: 0, active: 0 });
+        const s = bySymbol.get(p.symbol);
+        s.totalMv += p.notional;
+        if (p.tradeDate >= recent) s.recentMv += p.notional;
+        if (p.expiry >= today)     s.active++;
+      }
+      return [...bySymbol.values()]
+        .sort((a, b) => b.recentMv - a.recentMv || b.totalMv - a.totalMv);
+    })
+    .catch(() => []);
+  return _symbolIndex;
+}
+
+// Prefix matches first, then symbols containing the query, each in rank order.
+async function renderSuggestions(query) {
+  const box   = document.getElementById('ticker-suggest');
+  const index = await fetchSymbolIndex();
+  const q     = query.trim().toUpperCase();
+  const hits  = q
+    ? [...index.filter(s => s.symbol.startsWith(q)), ...index.filter(s => !s.symbol.startsWith(q) && s.symbol.includes(q))]
+    : index;
+
+  _suggestItems = hits.slice(0, SUGGEST_MAX).map(s => s.symbol);
+  _suggestIdx   = -1;
+  box.innerHTML = hits.slice(0, SUGGEST_MAX).map(s => `
+    <div class="sg-row" data-symbol="${escapeHtml(s.symbol)}">
+      <span class="sg-sym">${escapeHtml(s.symbol)}</span>
+      <span class="sg-active">${s.active} active</span>
+      <span class="sg-mv">${s.recentMv ? fmtMoney(s.recentMv) : '—'}</span>
+    </div>`).join('') ||
+    `<div class="sg-empty">No positions on record for ${escapeHtml(q)}</div>`;
+  box.hidden = false;
+}
+
+function hideSuggestions() {
+  document.getElementById('ticker-suggest').hidden = true;
+  _suggestItems = [];
+  _suggestIdx   = -1;
+}
+
+function moveSuggestion(step) {
+  if (!_suggestItems.length) return;
+  _suggestIdx = (_suggestIdx + step + _suggestItems.length) % _suggestItems.length;
+  document.querySelectorAll('#ticker-suggest .sg-row').forEach((row, i) =>
+    row.classList.toggle('sg-row--on', i === _suggestIdx)
+  );
+}
+
+// Watchlist first, then recents not already starred — the order ↑/↓ and [/]
+// step through.
+function railTickers() {
+  const watch = loadTickerList(WATCHLIST_STORAGE_KEY);
+  return [...watch, ...loadTickerList(RECENT_STORAGE_KEY).filter(t => !watch.includes(t))];
+}
+
+// New tickers go to the front; already-listed ones keep their slot so stepping
+// through the rail doesn't reshuffle it under the cursor.
+function addRecentTicker(ticker) {
+  const recent = loadTickerList(RECENT_STORAGE_KEY);
+  if (recent.includes(ticker)) return;
+  saveTickerList(RECENT_STORAGE_KEY, [ticker, ...recent].slice(0, RECENT_MAX));
+}
+
+function toggleWatchlist(ticker) {
+  const watch = loadTickerList(WATCHLIST_STORAGE_KEY);
+  saveTickerList(WATCHLIST_STORAGE_KEY, watch.includes(ticker)
+    ? watch.filter(t => t !== ticker)
+    : [...watch, ticker]);
+  renderTickerRail();
+}
+
+function renderTickerRail() {
+  const rail  = document.getElementById('ticker-rail');
+  const watch = loadTickerList(WATCHLIST_STORAGE_KEY);
+  const chip  = t => `
+    <span class="rail-chip${t === _currentTicker ? ' rail-chip--on' : ''}" data-ticker="${escapeHtml(t)}">
+      <button class="rail-star" title="${watch.includes(t) ? 'Remove from' : 'Add to'} watchlist">${watch.includes(t) ? '★' : '☆'}</button>${escapeHtml(t)}
+    </span>`;
+  const tickers = railTickers();
+  rail.hidden = !tickers.length;
+  rail.innerHTML =
+    (watch.length ? `<span class="rail-lbl">WATCH</span>${watch.map(chip).join('')}` : '') +
+    (tickers.length > watch.length
+      ? `<span class="rail-lbl">RECENT</span>${tickers.slice(watch.length).map(chip).join('')}`
+      : '') +
+    '<span class="rail-hint" title="[ ] anywhere on the chart tab; ↑↓ while the rail or search box has focus">↑↓ [ ] to step</span>';
+}
+
+// Load the previous (-1) or next (+1) rail ticker, wrapping at either end.
+function stepTicker(step) {
+  const tickers = railTickers();
+  if (!tickers.length) return;
+  const i = tickers.indexOf(_currentTicker);
+  const next = i < 0
+    ? tickers[step > 0 ? 0 : tickers.length - 1]
+    : tickers[(i + step + tickers.length) % tickers.length];
+  load(next);
+}
+
+function initTickerSearch() {
+  const input = document.getElementById('ticker-input');
+  const box   = document.getElementById('ticker-suggest');
+  const rail  = document.getElementById('ticker-rail');
+
+  input.addEventListener('input', () => renderSuggestions(input.value));
+  input.addEventListener('focus', () => renderSuggestions(input.value));
+  input.addEventListener('blur',  () => setTimeout(hideSuggestions, 150));
+  const ARROW_STEPS = { ArrowDown: 1, ArrowUp: -1 };
+  input.addEventListener('keydown', e => {
+    if (box.hidden) {
+      if (ARROW_STEPS[e.key] && railTickers().length) { e.preventDefault(); stepTicker(ARROW_STEPS[e.key]); }
+      return;
+    }
+    if (e.key === 'ArrowDown') { e.preventDefault(); moveSuggestion(1); }
+    if (e.key === 'ArrowUp')   { e.preventDefault(); moveSuggestion(-1); }
+    if (e.key === 'Escape')    hideSuggestions();
+    if (e.key === 'Enter' && _suggestIdx >= 0) input.value = _suggestItems[_suggestIdx];
+    if (e.key === 'Enter')     { hideSuggestions(); input.blur(); }
+  });
+  // mousedown (not click) so the pick lands before the input's blur hides the box
+  box.addEventListener('mousedown', e => {
+    const row = e.target.closest('.sg-row');
+    if (!row) return;
+    e.preventDefault();
+    hideSuggestions();
+    input.blur();
+    load(row.dataset.symbol);
+  });
+
+  rail.addEventListener('click', e => {
+    const chip = e.target.closest('.rail-chip');
+    if (!chip) return;
+    if (e.target.closest('.rail-star')) toggleWatchlist(chip.dataset.ticker);
+    else load(chip.dataset.ticker);
+  });
+  rail.addEventListener('keydown', e => {
+    if (!ARROW_STEPS[e.key]) return;
+    e.preventDefault();
+    stepTicker(ARROW_STEPS[e.key]);
+  });
+
+  document.addEventListener('keydown', e => {
+    if (e.target.closest('input, select, textarea') || e.metaKey || e.ctrlKey || e.altKey) return;
+    if (!document.getElementById('tab-chart').classList.contains('tab-panel--active')) return;
+    const step = { ']': 1, '[': -1 }[e.key];
+    if (!step || !railTickers().length) return;
+    e.preventDefault();
+    stepTicker(step);
+  });
+
+  renderTickerRail();
+}
+
+// ── Compare mode ──────────────────────────────────────────────────────────────
+// 2–4 tickers on daily bars, either overlaid as %-change lines from the start
+// of the selected timeframe or as a grid of bar charts. Each carries its own
+// flow markers and active notional, both through the position filter like the
+// main chart. Sector names from signals.js (SEMIS, SECTOR_SEMIS, …) expand to
+// their members with the most recent flow, ranked by fetchSymbolIndex.
+
+const COMPARE_MODE_STORAGE_KEY = 'chart_compare_mode';
+const COMPARE_MAX    = 4;
+const COMPARE_COLORS = ['#00c8ff', '#ffb300', '#00e676', '#ff80ab'];
+
+let _compareMode   = localStorage.getItem(COMPARE_MODE_STORAGE_KEY) === 'split' ? 'split' : 'overlay';
+let _compareData   = null; // [{ ticker, ohlcv, positions, color }] while compare is open
+let _compareCharts = [];   // LightweightCharts instances inside #cmp-body
+
+// Resolved lazily — the SECTOR_* lists live in signals.js, loaded after this file.
+function compareSectors() {
+  return {
+    SEMIS: SECTOR_SEMIS, BANKS: SECTOR_BANKS, RETAIL: SECTOR_RETAIL, AIRLINES: SECTOR_AIRLINES,
+    ENERGY: SECTOR_ENERGY, OIL_SERVICES: SECTOR_OIL_SERVICES, DEFENSE: SECTOR_DEFENSE,
+    CHINA: SECTOR_CHINA, CRYPTO: SECTOR_CRYPTO, AI_INFRA: SECTOR_AI_INFRA,
+  };
+}
+
+// "NVDA, AMD MU" or a sector name → up to COMPARE_MAX tickers.
+async function resolveCompareTickers(raw) {
+  const tokens  = raw.toUpperCase().split(/[\s,]+/).filter(Boolean);
+  const sectors = compareSectors();
+  const tickers = [];
+  for (const tok of tokens) {
+    const members = sectors[tok.replace(/^SECTOR_/, '')];
+    if (!members) { tickers.push(tok); continue; }
+    const index   = await fetchSymbolIndex();
+    const ranked  = index.filter(s => members.includes(s.symbol) && s.totalMv > 0).map(s => s.symbol);
+    tickers.push(...(ranked.length ? ranked : members));
+  }
+  return [...new Set(tickers)].slice(0, COMPARE_MAX);
+}
+
+async function openCompare(tickers) {
+  tickers = [...new Set(tickers.map(t => t.trim().toUpperCase()).filter(Boolean))].slice(0, COMPARE_MAX);
+  if (tickers.length < 2) {
+    setStatus(`Compare needs 2–${COMPARE_MAX} tickers`, 'warning');
+    return;
+  }
+  setStatus(`Loading ${tickers.join(', ')}…`, 'info');
+  try {
+    _compareData = await Promise.all(tickers.map(async (ticker, i) => {
+      const [ohlcv, positions] = await Promise.all([fetchOHLCV(ticker), fetchPutFlowData(ticker)]);
+      if (!ohlcv.length) throw new Error(`No price data returned for "${ticker}"`);
+      return { ticker, ohlcv, positions, color: COMPARE_COLORS[i] };
+    }));
+    document.getElementById('compare-input').value = tickers.join(' ');
+    renderCompare();
+    setStatus('', '');
+  } catch (err) {
+    setStatus(err.message, 'error');
+    console.error(err);
+  }
+}
+
+function closeCompare() {
+  _compareCharts.forEach(c => c.remove());
+  _compareCharts = [];
+  _compareData   = null;
+  document.getElementById('sec01-body').classList.remove('compare-on');
+  document.getElementById('compare-view').hidden = true;
+}
+
+// Bars from the start of the selected timeframe up to the as-of date, the %
+// change over them, and the filtered positions behind the markers and the
+// notional total. Prints from before the first bar get no marker
+// (barOnOrAfter), so the window's first bar does not collect older flow.
+function compareSeries({ ohlcv, positions }) {
+  const start = new Date(asOfDate());
+  start.setMonth(start.getMonth() - _currentMonths);
+  const asOfStr   = dateToStr(asOfDate());
+  const bars      = ohlcv.filter(d => d.time >= dateToStr(start) && d.time <= asOfStr);
+  const lastClose = asOfClose(ohlcv);
+  const shown     = positions.filter(p => positionPassesFilter(p, lastClose));
+  const active    = shown.filter(p => p.expiry >= asOfDate() && p.tradeDate <= asOfDate());
+  return {
+    bars,
+    shown,
+    change:   bars.length ? (lastClose / bars[0].close - 1) * 100 : 0,
+    notional: active.reduce((s, p) => s + p.contracts * p.originalPremium * 100, 0),
+  };
+}
+
+function compareChartOptions() {
+  return {
+    autoSize: true,
+    layout:   { background: { type: 'solid', color: '#07090d' }, textColor: '#c8d8ea', fontSize: 11 },
+    grid:     { vertLines: { color: '#111520' }, horzLines: { color: '#111520' } },
+    crosshair:       { mode: LightweightCharts.CrosshairMode.Normal },
+    rightPriceScale: { borderColor: '#1c2535' },
+    timeScale:       { borderColor: '#1c2535', rightOffset: 5 },
+  };
+}
+
+function renderCompare() {
+  _compareCharts.forEach(c => c.remove());
+  _compareCharts = [];
+  if (!_compareData) return;
+
+  document.getElementById('sec01-body').classList.add('compare-on');
+  document.getElementById('compare-view').hidden = false;
+  document.querySelectorAll('.cmp-mode').forEach(b => b.classList.toggle('tf-btn--active', b.dataset.mode === _compareMode));
+  document.querySelectorAll('.cmp-tf').forEach(b => b.classList.toggle('tf-btn--active', b.dataset.months === String(_currentMonths)));
+
+  const body   = document.getElementById('cmp-body');
+  const legend = document.getElementById('cmp-legend');
+  body.innerHTML   = '';
+  body.className   = `cmp-body--${_compareMode}`;
+  legend.innerHTML = '';
+
+  const rows = _compareData.map(d => ({ ...d, ...compareSeries(d) }));
+  for (const r of rows) {
+    const chip = document.createElement('button');
+    chip.className = 'cmp-chip';
+    chip.title     = `Open ${r.ticker} on the main chart`;
+    chip.style.setProperty('--cmp', r.color);
+    chip.innerHTML = `<b>${r.ticker}</b>
+      <span style="color:${r.change >= 0 ? 'var(--up)' : 'var(--dn)'}">${r.change >= 0 ? '+' : ''}${r.change.toFixed(1)}%</span>
+      <span>${fmtMoney(r.notional)} active</span>`;
+    chip.addEventListener('click', () => { closeCompare(); load(r.ticker); });
+    legend.appendChild(chip);
+  }
+
+  if (_compareMode === 'overlay') {
+    const chart = LightweightCharts.createChart(body, compareChartOptions());
+    _compareCharts.push(chart);
+    for (const r of rows) {
+      if (!r.bars.length) continue;
+      const base = r.bars[0].close;
+      const line = chart.addSeries(LightweightCharts.LineSeries, {
+        color:            r.color,
+        lineWidth:        2,
+        priceLineVisible: false,
+        title:            r.ticker,
+        priceFormat:      { type: 'custom', formatter: v => `${v >= 0 ? '+' : ''}${v.toFixed(1)}%` },
+      });
+      line.setData(r.bars.map(d => ({ time: d.time, value: (d.close / base - 1) * 100 })));
+      // Ticker colour instead of put/call colour; side still reads from
+      // above (calls) / below (puts). Text dropped — four tickers' worth clutters.
+      const { markers } = flowMarkerData(r.bars, r.shown);
+      LightweightCharts.createSeriesMarkers(line, markers.map(m => ({ ...m, color: r.color, text: '' })));
+    }
+    chart.timeScale().fitContent();
+    return;
+  }
+
+  for (const r of rows) {
+    const cell = document.createElement('div');
+    cell.className = 'cmp-cell';
+    cell.innerHTML = `<div class="cmp-cell-hdr" style="color:${r.color}">${r.ticker}
+      <span>${r.change >= 0 ? '+' : ''}${r.change.toFixed(1)}% · ${fmtMoney(r.notional)} active</span></div>
+      <div class="cmp-cell-chart"></div>`;
+    body.appendChild(cell);
+    const chart = LightweightCharts.createChart(cell.querySelector('.cmp-cell-chart'), compareChartOptions());
+    _compareCharts.push(chart);
+    const bars = chart.addSeries(LightweightCharts.BarSeries, {
+      upColor:          '#00e676',
+      downColor:        '#ff3355',
+      priceLineVisible: false,
+    });
+    bars.setData(r.bars);
+    LightweightCharts.createSeriesMarkers(bars, flowMarkerData(r.bars, r.shown).markers);
+    chart.timeScale().fitContent();
+  }
+}
+
+function initCompare() {
+  const input = document.getElementById('compare-input');
+  const go    = async () => openCompare(await resolveCompareTickers(input.value));
+  document.getElementById('compare-btn').addEventListener('click', go);
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') go(); });
+  document.getElementById('cmp-close').addEventListener('click', closeCompare);
+  document.querySelectorAll('.cmp-mode').forEach(btn => {
+    btn.addEventListener('click', () => {
+      _compareMode = btn.dataset.mode;
+      localStorage.setItem(COMPARE_MODE_STORAGE_KEY, _compareMode);
+      renderCompare();
+    });
+  });
+  // The main legend bar is hidden in compare mode, so the view has its own
+  // daily windows; they share _currentMonths with the main chart.
+  document.querySelectorAll('.cmp-tf').forEach(btn => {
+    btn.addEventListener('click', () => {
+      _currentMonths = parseInt(btn.dataset.months);
+      renderCompare();
+    });
+  });
+}
+
+// ── Shareable URL state ───────────────────────────────────────────────────────
+// The hash carries the whole view so a pasted link reproduces it, e.g.
+//   #NVDA?tf=6&iv=15m&flt={"maxLines":12}&tab=expired&pos=put|2026-06-18|2026-03-02|120&asof=2026-03-01&view=signals
+// Only non-default values are written; `flt` holds the fields that differ from
+// the >$1M preset. Loading a new ticker pushes a history entry so back/forward
+// step between tickers — every other change replaces the current entry.
+
+function parseUrlState() {
+  const [head, query] = location.hash.slice(1).split('?');
+  const q = new URLSearchParams(query ?? '');
+  let filter = null;
+  try {
+    filter = q.has('flt') ? JSON.parse(q.get('flt')) : null;
+  } catch {
+    filter = null;
+  }
+  return {
+    ticker:   decodeURIComponent(head ?? '').trim().toUpperCase(),
+    months:   parseInt(q.get('tf')) || 12,
+    interval: INTRADAY_DAYS[q.get('iv')] ? q.get('iv') : '1d',
+    filter,
+    tab:      q.get('tab') === 'expired' ? 'expired' : 'active',
+    pos:      q.get('pos'),
+    asOf:     q.get('asof') ? parseDate(q.get('asof')) : null,
+    view:     q.get('view') === 'signals' ? 'signals' : 'chart',
+  };
+}
+
+// Fields of the current filter that differ from the default preset.
+function filterDiff() {
+  const base = BUILTIN_PRESETS['>$1M'];
+  const diff = {};
+  for (const [key, val] of Object.entries(_filter)) {
+    if (key === 'types') {
+      if (Object.keys(val).some(t => val[t] !== base.types[t])) diff.types = val;
+    } else if (val !== base[key]) {
+      diff[key] = val;
+    }
+  }
+  return diff;
+}
+
+function buildUrlHash() {
+  const q = new URLSearchParams();
+  if (_currentMonths !== 12) q.set('tf', _currentMonths);
+  if (isIntraday())          q.set('iv', _currentInterval);
+  const diff = filterDiff();
+  if (Object.keys(diff).length) q.set('flt', JSON.stringify(diff));
+  if (document.querySelector('.stab.stab-on')?.dataset.tab === 'expired') q.set('tab', 'expired');
+  if (_pinnedKey) q.set('pos', _pinnedKey);
+  if (_asOf)      q.set('asof', dateToStr(_asOf));
+  if (document.querySelector('.tab-btn--active')?.dataset.tab === 'signals') q.set('view', 'signals');
+  const query = q.toString();
+  return `#${_currentTicker ?? ''}${query ? `?${query}` : ''}`;
+}
+
+// Write the current view into the URL; `push` adds a history entry. A replace
+// only ever amends the entry of the ticker on screen — while a back/forward
+// load is in flight the URL already belongs to the incoming ticker.
+function syncUrl(push = false) {
+  if (!push && (_currentTicker ?? '') !== parseUrlState().ticker) return;
+  const hash = buildUrlHash();
+  if (hash === location.hash) return;
+  history[push ? 'pushState' : 'replaceState'](null, '', hash);
+}
+
+// Apply the non-fetching parts of a URL view before the first render. A
+// linked filter lasts for the session only — the viewer's saved filter is
+// written again only when they change the filter panel (applyFilter). A hash
+// without a filter part (a plain #TICKER link) leaves the current filter be.
+function applyViewState(view) {
+  if (view.filter) {
+    const base = BUILTIN_PRESETS['>$1M'];
+    _filter = { ...cloneFilter(base), ...view.filter, types: { ...base.types, ...view.filter.types } };
+    syncFilterPanel();
+  }
+
+  _asOf = view.asOf;
+  document.getElementById('asof-input').value   = _asOf ? dateToStr(_asOf) : '';
+  document.getElementById('asof-clear').hidden  = !_asOf;
+
+  _pinnedKey = view.pos;
+}
+
+// Switch the top-level CHART / SIGNALS tab and restore the chart view.
+function restoreUrlState() {
+  const view = parseUrlState();
+  document.querySelector(`.tab-btn[data-tab="${view.view}"]`)?.click();
+  if (view.ticker) {
+    document.getElementById('ticker-input').value = view.ticker;
+    load(view.ticker, view);
+  }
+}
+
 // ── Status bar ────────────────────────────────────────────────────────────────
 
 function setStatus(msg, cls = '') {
@@ -675,12 +2945,47 @@ function initCollapsibles() {
 
 // ── Entry point ───────────────────────────────────────────────────────────────
 
-async function load(raw) {
+// Split the loaded positions around the as-of date and rebuild the chart and
+// sidebar. Runs on every load and whenever the as-of date changes, so nothing
+// here may refetch. Positions traded after the as-of date are hidden entirely.
+function renderPositions() {
+  const asOf    = asOfDate();
+  const visible = _lastFetched.filter(p => p.tradeDate <= asOf);
+  const active  = visible.filter(p => p.expiry >= asOf);
+  const expired = visible.filter(p => p.expiry <  asOf);
+
+  // Outcome replay for expired positions — computed once per position
+  for (const p of expired) p.outcome ??= positionOutcome(p, _dailyOhlcv);
+
+  // Cache for filter toggle rebuilds
+  _lastPositions    = active;
+  _lastAllPositions = visible;
+  _lastExpired      = expired;
+  _tradeDayFilter   = null;
+
+  buildChart(_lastOhlcv, active);
+  buildSidebar(_currentTicker, active, expired);
+  renderPositionDrawer();
+
+  const asOfNote = _asOf ? ` as of ${dateToStr(asOf)}` : '';
+  if (!active.length) {
+    setStatus(`No active positions on record for ${_currentTicker}${asOfNote}`, 'warning');
+  } else if (_asOf) {
+    setStatus(`Viewing ${_currentTicker}${asOfNote} — later prints hidden, later bars greyed`, 'info');
+  } else {
+    setStatus('', '');
+  }
+  syncUrl();
+}
+
+// `view` is a parsed URL state (see parseUrlState) when the load comes from a
+// link or back/forward; a plain load keeps the filter and resets the timeframe.
+async function load(raw, view = null) {
   const ticker = raw.trim().toUpperCase();
   if (!ticker) return;
 
+  closeCompare();
   document.getElementById('ticker-input').value = ticker;
-  history.replaceState(null, '', `#${ticker}`);
 
   setStatus(`Loading ${ticker}…`, 'info');
   document.getElementById('sidebar-info').textContent = 'Loading…';
@@ -688,35 +2993,35 @@ async function load(raw) {
   document.getElementById('load-btn').disabled = true;
 
   try {
-    const [allPositions, ohlcv] = await Promise.all([
+    // Intraday links also need the daily bars — expired outcomes replay on them.
+    const interval = view?.interval ?? '1d';
+    const [allPositions, ohlcv, daily] = await Promise.all([
       fetchPutFlowData(ticker),
-      fetchOHLCV(ticker),
+      fetchOHLCV(ticker, interval),
+      interval === '1d' ? null : fetchOHLCV(ticker),
     ]);
 
     if (!ohlcv.length) throw new Error(`No price data returned for "${ticker}"`);
+    await ensureConeVol();
 
-    const today = new Date(); today.setHours(0, 0, 0, 0);
-    const active  = allPositions.filter(p => p.expiry >= today);
-    const expired = allPositions.filter(p => p.expiry <  today);
-
-    // Cache for filter toggle rebuilds
+    const isNewTicker = ticker !== parseUrlState().ticker;
+    _currentTicker = ticker;
+    _lastFetched   = allPositions;
     _lastOhlcv     = ohlcv;
-    _lastPositions = active;
-
-    // Reset to 1Y default on every new ticker load
-    _currentMonths = 12;
-    document.querySelectorAll('.tf-btn').forEach(b =>
-      b.classList.toggle('tf-btn--active', b.dataset.months === '12')
-    );
-
-    buildChart(ohlcv, active);
-    buildSidebar(ticker, active, expired);
-
-    if (!active.length) {
-      setStatus(`No active positions on record for ${ticker}`, 'warning');
-    } else {
-      setStatus('', '');
-    }
+    _dailyOhlcv    = daily ?? ohlcv;
+    addRecentTicker(ticker);
+    renderTickerRail();
+
+    // Plain loads reset to 1Y of daily bars; links restore their timeframe
+    _currentMonths   = view?.months ?? 12;
+    _currentInterval = interval;
+    syncTimeframeButtons();
+    if (view) applyViewState(view);
+    else _pinnedKey = null;
+
+    renderPositions();
+    if (view?.tab === 'expired') document.querySelector('.stab[data-tab="expired"]')?.click();
+    syncUrl(isNewTicker);
   } catch (err) {
     setStatus(err.message, 'error');
     console.error(err);
@@ -725,6 +3030,37 @@ async function load(raw) {
   }
 }
 
+// Highlight the timeframe button for the interval and window on screen.
+function syncTimeframeButtons() {
+  document.querySelectorAll('.tf-group .tf-btn').forEach(b =>
+    b.classList.toggle('tf-btn--active', b.dataset.interval
+      ? b.dataset.interval === _currentInterval
+      : _currentInterval === '1d' && b.dataset.months === String(_currentMonths))
+  );
+}
+
+// Swap the loaded ticker's bars to another interval (and, for daily bars, the
+// window in months). Positions are not refetched; expired outcomes, moving
+// averages and the cone keep reading the daily bars in _dailyOhlcv. A failed
+// fetch leaves the old bars and re-highlights their button.
+async function setChartInterval(interval, months = _currentMonths) {
+  if (!_currentTicker) return;
+  setStatus(`Loading ${_currentTicker} ${interval} bars…`, 'info');
+  try {
+    const ohlcv = await fetchOHLCV(_currentTicker, interval);
+    if (!ohlcv.length) throw new Error(`No ${interval} price data returned for "${_currentTicker}"`);
+    _currentInterval = interval;
+    _currentMonths   = months;
+    _lastOhlcv       = ohlcv;
+    if (interval === '1d') _dailyOhlcv = ohlcv;
+    renderPositions();
+  } catch (err) {
+    setStatus(err.message, 'error');
+    console.error(err);
+  }
+  syncTimeframeButtons();
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   startClock();
   initCollapsibles();
@@ -734,6 +3070,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // updateLabelPositions() is a no-op when no chart or labels are loaded.
   (function syncLabels() {
     updateLabelPositions();
+    updateZonePositions();
+    updateAnnotationPositions();
+    drawStrikeProfile();
     requestAnimationFrame(syncLabels);
   })();
 
@@ -748,28 +3087,157 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   btn.addEventListener('click',  () => load(input.value));
+
+  // Clear the flow-marker day filter
+  document.getElementById('sidebar-filter').addEventListener('click', e => {
+    if (!e.target.closest('.chip-x')) return;
+    _tradeDayFilter = null;
+    document.querySelector('.stab.stab-on')?.click();
+  });
+  // Snapshot export — download or copy the chart with its HTML overlays
+  const snapAction = (action, done) => {
+    if (!_chart || !_currentTicker) return;
+    action()
+      .then(() => setStatus(done, 'info'))
+      .catch(err => { setStatus(err.message, 'error'); console.error(err); });
+  };
+  document.getElementById('snap-png').addEventListener('click', () =>
+    snapAction(downloadSnapshot, `Saved ${snapshotFilename()}`));
+  document.getElementById('snap-copy').addEventListener('click', () =>
+    snapAction(copySnapshot, `${_currentTicker} chart copied to clipboard`));
+
+  // Autocomplete dropdown + watchlist / recent-tickers rail. Registered before
+  // the Enter handler below so a highlighted suggestion fills the input first.
+  initTickerSearch();
   input.addEventListener('keydown', e => { if (e.key === 'Enter') load(input.value); });
 
-  // Notional filter toggle: '>$1M only' ↔ 'ALL'
-  document.getElementById('filter-btn').addEventListener('click', () => {
-    _filterLarge = !_filterLarge;
-    const filterBtn = document.getElementById('filter-btn');
-    filterBtn.textContent = _filterLarge ? '>$1M' : 'ALL';
-    filterBtn.classList.toggle('filter-btn--all', !_filterLarge);
+  // Position filter panel (replaces the old >$1M / ALL toggle)
+  initFilterPanel();
+
+  // Sidebar sort / group selectors
+  initSidebarControls();
+
+  // Chart drawing tools and annotation JSON export / import
+  initAnnotationTools();
+
+  // Multi-ticker compare view
+  initCompare();
+  document.getElementById('drawer-close').addEventListener('click', closePositionDrawer);
+
+  // Side toggle: BOTH → PUTS → CALLS → BOTH — a shortcut onto the filter's
+  // put/call type switches.
+  document.getElementById('side-btn').addEventListener('click', () => {
+    const { put, call } = _filter.types;
+    const side = put && call ? 'both' : put ? 'puts' : 'calls';
+    const next = { both: 'puts', puts: 'calls', calls: 'both' }[side];
+    _filter.types.put  = next !== 'calls';
+    _filter.types.call = next !== 'puts';
+    applyFilter();
+  });
+
+  // As-of date picker — replays the chart tab as of a past date
+  const asOfInput = document.getElementById('asof-input');
+  asOfInput.max = dateToStr(new Date());
+  asOfInput.addEventListener('change', () => {
+    _asOf = asOfInput.value ? parseDate(asOfInput.value) : null;
+    document.getElementById('asof-clear').hidden = !_asOf;
+    if (_lastFetched && _lastOhlcv) renderPositions();
+  });
+  document.getElementById('asof-clear').addEventListener('click', () => {
+    asOfInput.value = '';
+    asOfInput.dispatchEvent(new Event('change'));
+  });
+
+  // Moving-average overlay toggles — persisted across reloads
+  document.querySelectorAll('.ma-btn').forEach(btn => {
+    const key = btn.dataset.ma;
+    btn.classList.toggle('ma-btn--on', !!_maSettings[key]);
+    btn.addEventListener('click', () => {
+      _maSettings[key] = !_maSettings[key];
+      saveMASettings();
+      btn.classList.toggle('ma-btn--on', _maSettings[key]);
+      if (key === 'reclaim') {
+        if (_lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
+      } else {
+        _maSeries[key]?.applyOptions({ visible: _maSettings[key] });
+      }
+    });
+  });
+
+  // Crosshair tooltip band (± % of cursor price) — persisted
+  const bandInput = document.getElementById('tt-band');
+  bandInput.value = _tooltipBand;
+  bandInput.addEventListener('change', () => {
+    const v = parseFloat(bandInput.value);
+    _tooltipBand = isFinite(v) && v > 0 ? Math.min(v, 50) : 3;
+    bandInput.value = _tooltipBand;
+    localStorage.setItem(TT_BAND_STORAGE_KEY, String(_tooltipBand));
+  });
+
+  // Breakeven line toggle
+  document.getElementById('be-btn').addEventListener('click', () => {
+    _showBreakeven = !_showBreakeven;
+    document.getElementById('be-btn').classList.toggle('filter-btn--off', !_showBreakeven);
+    if (_lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
+  });
+
+  // Volume / flow-notional panes toggle — persisted
+  const panesBtn = document.getElementById('panes-btn');
+  panesBtn.classList.toggle('filter-btn--off', !_showPanes);
+  panesBtn.addEventListener('click', () => {
+    _showPanes = !_showPanes;
+    localStorage.setItem(PANES_STORAGE_KEY, _showPanes ? 'on' : 'off');
+    panesBtn.classList.toggle('filter-btn--off', !_showPanes);
+    if (_lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
+  });
+
+  // Support-zone bands toggle — persisted
+  const zonesBtn = document.getElementById('zones-btn');
+  zonesBtn.classList.toggle('filter-btn--off', !_showZones);
+  zonesBtn.addEventListener('click', () => {
+    _showZones = !_showZones;
+    localStorage.setItem(ZONES_STORAGE_KEY, _showZones ? 'on' : 'off');
+    zonesBtn.classList.toggle('filter-btn--off', !_showZones);
     if (_lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
   });
 
-  // Timeframe selector buttons (3M / 6M / 1Y / 2Y)
-  document.querySelectorAll('.tf-btn').forEach(btn => {
+  // Expected-move cone: RV → VIX → off, persisted
+  const coneBtn = document.getElementById('cone-btn');
+  coneBtn.classList.toggle('filter-btn--off', _coneMode === 'off');
+  coneBtn.addEventListener('click', async () => {
+    _coneMode = CONE_MODES[(CONE_MODES.indexOf(_coneMode) + 1) % CONE_MODES.length];
+    localStorage.setItem(CONE_STORAGE_KEY, _coneMode);
+    coneBtn.classList.toggle('filter-btn--off', _coneMode === 'off');
+    await ensureConeVol();
+    coneBtn.textContent = coneButtonText();
+    if (_lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
+  });
+
+  // Expired outcome replay toggle
+  document.getElementById('expired-btn').addEventListener('click', () => {
+    _showExpired = !_showExpired;
+    document.getElementById('expired-btn').classList.toggle('filter-btn--off', !_showExpired);
+    if (_lastOhlcv && _lastPositions) buildChart(_lastOhlcv, _lastPositions);
+  });
+
+  // Timeframe selector. Intraday buttons (5m / 15m / 1H) refetch bars at that
+  // interval; daily windows (3M / 6M / 1Y / 2Y) only refetch when leaving intraday.
+  const tfBtns = document.querySelectorAll('.tf-group .tf-btn');
+  tfBtns.forEach(btn => {
     btn.addEventListener('click', () => {
-      _currentMonths = parseInt(btn.dataset.months);
-      document.querySelectorAll('.tf-btn').forEach(b => b.classList.remove('tf-btn--active'));
-      btn.classList.add('tf-btn--active');
-      applyTimeframe(_currentMonths);
+      const interval = btn.dataset.interval ?? '1d';
+      const months   = btn.dataset.interval ? _currentMonths : parseInt(btn.dataset.months);
+      tfBtns.forEach(b => b.classList.toggle('tf-btn--active', b === btn));
+      if (interval === _currentInterval) { _currentMonths = months; applyTimeframe(months); syncUrl(); }
+      else setChartInterval(interval, months);
     });
   });
 
-  // Restore ticker from URL hash (e.g. index.html#SPY)
-  const hash = decodeURIComponent(location.hash.slice(1));
-  if (hash) { input.value = hash; load(hash); }
+  // Keep the top-level tab in the URL so the signals tab is deep-linkable
+  document.querySelectorAll('.tab-btn').forEach(b => b.addEventListener('click', () => syncUrl()));
+
+  // Restore the view from the URL hash (e.g. index.html#SPY?tf=6&tab=expired);
+  // back/forward re-applies whichever entry the browser lands on.
+  restoreUrlState();
+  window.addEventListener('popstate', restoreUrlState);
 });
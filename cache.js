@@ -0,0 +1,172 @@
+// ─── Offline cache ────────────────────────────────────────────────────────────
+// IndexedDB copies of price bars and positions.json, so repeat loads skip the
+// network and the app still opens offline (sw.js caches the page itself).
+// Loaded right after config.js on every page. Without IndexedDB (private mode,
+// old browsers) every helper falls straight through to the network.
+//
+//   bars       `${TICKER}|${interval}` → { data, fetchedAt }
+//   positions  content hash            → { hash, text, savedAt }
+//              'latest'                → { hash, savedAt }
+// ──────────────────────────────────────────────────────────────────────────────
+
+const CACHE_DB_NAME    = 'flow-cache';
+const CACHE_DB_VERSION = 1;
+
+// Intraday bars go stale after one bar. Daily bars go stale after an hour, as
+// today's bar keeps moving until the close, and never outlive the calendar day.
+const BAR_MAX_AGE_MS = { '5m': 5 * 60_000, '15m': 15 * 60_000, '1h': 60 * 60_000, '1d': 60 * 60_000 };
+
+let _cacheDb  = null; // Promise → IDBDatabase, or null without IndexedDB
+let _dataAges = {};   // kind → { at, offline } behind the #data-age pill
+
+// ── IndexedDB ─────────────────────────────────────────────────────────────────
+
+function openCacheDb() {
+  _cacheDb ??= new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') return resolve(null);
+    const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const store of ['bars', 'positions']) {
+        if (!req.result.objectStoreNames.contains(store)) req.result.createObjectStore(store);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => resolve(null);
+  });
+  return _cacheDb;
+}
+
+// One request in its own transaction; resolves undefined when the cache is
+// unavailable or the request fails — a cache miss, never an error.
+async function cacheRequest(store, mode, fn) {
+  const db = await openCacheDb();
+  if (!db) return undefined;
+  return new Promise(resolve => {
+    const req = fn(db.transaction(store, mode).objectStore(store));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => resolve(undefined);
+  });
+}
+
+const cacheGet    = (store, key)        => cacheRequest(store, 'readonly',  s => s.get(key));
+const cachePut    = (store, key, value) => cacheRequest(store, 'readwrite', s => s.put(value, key));
+const cacheDelete = (store, key)        => cacheRequest(store, 'readwrite', s => s.delete(key));
+
+// ── Bars ──────────────────────────────────────────────────────────────────────
+
+function barsFresh(record, interval) {
+  if (!record) return false;
+  const maxAge = BAR_MAX_AGE_MS[interval];
+  if (maxAge && Date.now() - record.fetchedAt >= maxAge) return false;
+  return new Date(record.fetchedAt).toDateString() === new Date().toDateString();
+}
+
+// Cached bars when still fresh, otherwise download() and store the result. A
+// failed fetch falls back to whatever is cached, however old — that is what
+// keeps the chart usable offline. kind labels the bars on the data-age pill.
+async function cachedBars(key, interval, download, kind = 'bars') {
+  const record = await cacheGet('bars', key);
+  if (barsFresh(record, interval)) {
+    noteDataAge(kind, record.fetchedAt, false);
+    return record.data;
+  }
+  try {
+    const data = await download();
+    cachePut('bars', key, { data, fetchedAt: Date.now() });
+    noteDataAge(kind, Date.now(), false);
+    return data;
+  } catch (err) {
+    if (!record) throw err;
+    console.warn(`[cache] ${key}: ${err.message} — using bars from ${new Date(record.fetchedAt).toLocaleString()}`);
+    noteDataAge(kind, record.fetchedAt, true);
+    return record.data;
+  }
+}
+
+// ── positions.json ────────────────────────────────────────────────────────────
+
+// SHA-256 of the text as hex, or null where crypto.subtle is missing (pages
+// served over plain http from anywhere but localhost are not a secure context).
+async function contentHash(text) {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// positions.json text from fetchText(), stored under its SHA-256. The same
+// content re-downloaded keeps its original savedAt, so the data age reads as
+// "when this file last changed" rather than "when it was last fetched". Only
+// the latest version is kept. Offline, the stored text is returned instead.
+// Without a hash the fetched text is returned uncached.
+async function cachedPositionsText(fetchText) {
+  const db = await openCacheDb();
+  if (!db) return fetchText();
+
+  const latest = await cacheGet('positions', 'latest');
+  let text;
+  try {
+    text = await fetchText();
+  } catch (err) {
+    const record = latest && await cacheGet('positions', latest.hash);
+    if (!record) throw err;
+    console.warn(`[cache] positions.json: ${err.message} — using the copy saved ${new Date(record.savedAt).toLocaleString()}`);
+    noteDataAge('positions', record.savedAt, true);
+    return record.text;
+  }
+
+  const hash = await contentHash(text).catch(() => null);
+  if (!hash) {
+    noteDataAge('positions', Date.now(), false);
+  } else if (hash !== latest?.hash) {
+    const savedAt = Date.now();
+    await cachePut('positions', hash, { hash, text, savedAt });
+    await cachePut('positions', 'latest', { hash, savedAt });
+    if (latest) cacheDelete('positions', latest.hash);
+    noteDataAge('positions', savedAt, false);
+  } else {
+    noteDataAge('positions', latest.savedAt, false);
+  }
+  return text;
+}
+
+// ── Data-age pill ─────────────────────────────────────────────────────────────
+
+function fmtAge(ms) {
+  const m = Math.floor(ms / 60_000);
+  if (m < 1)  return 'JUST UPDATED';
+  if (m < 60) return `${m}M OLD`;
+  const h = Math.floor(m / 60);
+  return h < 48 ? `${h}H OLD` : `${Math.floor(h / 24)}D OLD`;
+}
+
+function noteDataAge(kind, at, offline) {
+  _dataAges[kind] = { at, offline };
+  renderDataAge();
+}
+
+// The pill shows the oldest data on screen; OFFLINE when any of it came from
+// the cache after a failed fetch. Pages without #data-age skip it.
+function renderDataAge() {
+  const pill = document.getElementById('data-age');
+  if (!pill) return;
+  const ages = Object.entries(_dataAges);
+  if (!ages.length) { pill.hidden = true; return; }
+
+  const oldest  = Math.min(...ages.map(([, a]) => a.at));
+  const offline = !navigator.onLine || ages.some(([, a]) => a.offline);
+  pill.hidden      = false;
+  pill.textContent = `${offline ? 'OFFLINE · ' : ''}DATA ${fmtAge(Date.now() - oldest)}`;
+  pill.title       = ages.map(([kind, a]) =>
+    `${kind}: ${new Date(a.at).toLocaleString()}${a.offline ? ' (cached — fetch failed)' : ''}`).join('\n');
+  pill.classList.toggle('data-age--offline', offline);
+}
+
+setInterval(renderDataAge, 60_000);
+window.addEventListener('online',  renderDataAge);
+window.addEventListener('offline', renderDataAge);
+
+// ── Service worker ────────────────────────────────────────────────────────────
+
+if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('[cache] service worker:', err.message));
+}
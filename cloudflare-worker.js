@@ -14,6 +14,15 @@ const CORS_HEADERS = {
   'Access-Control-Allow-Headers': 'Content-Type',
 };
 
+// History requested per bar interval. Yahoo caps intraday lookback (5m/15m at
+// 60 days, 1h at 730), so the shorter intervals stay just inside those limits.
+const OHLCV_LOOKBACK_DAYS = {
+  '1d':  2 * 365,
+  '1h':  180,
+  '15m': 59,
+  '5m':  29,
+};
+
 export default {
   async fetch(request, env) {
     // Handle preflight
@@ -21,27 +30,32 @@ export default {
       return new Response(null, { status: 204, headers: CORS_HEADERS });
     }
 
-    // ── VIX proxy route (GET /vix) ──────────────────────────────────────────
-    const url = new URL(request.url);
-    if (request.method === 'GET' && url.pathname === '/vix') {
-      // ── OHLCV price data proxy ─────────────────────────────────────────
-      if (path === '/ohlcv') {
-        const ticker = url.searchParams.get('ticker');
-        if (!ticker) return new Response('missing ticker', { status: 400, headers: CORS_HEADERS });
-        const now   = Math.floor(Date.now() / 1000);
-        const start = now - 2 * 365 * 24 * 3600;
-        const end   = now + 2 * 24 * 3600;
-        const yhUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?period1=${start}&period2=${end}&interval=1d`;
-        const yhRes = await fetch(yhUrl, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-            'Accept': 'application/json',
-          }
-        });
-        const body = await yhRes.text();
-        return new Response(body, { status: yhRes.status, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
-      }
+    const url  = new URL(request.url);
+    const path = url.pathname;
 
+    // ── OHLCV price data proxy (GET /ohlcv?ticker=…&interval=…) ─────────────
+    if (request.method === 'GET' && path === '/ohlcv') {
+      const ticker   = url.searchParams.get('ticker');
+      const interval = url.searchParams.get('interval') || '1d';
+      if (!ticker) return new Response('missing ticker', { status: 400, headers: CORS_HEADERS });
+      const lookback = OHLCV_LOOKBACK_DAYS[interval];
+      if (!lookback) return new Response('unsupported interval', { status: 400, headers: CORS_HEADERS });
+      const now   = Math.floor(Date.now() / 1000);
+      const start = now - lookback * 24 * 3600;
+      const end   = now + 2 * 24 * 3600;
+      const yhUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?period1=${start}&period2=${end}&interval=${interval}`;
+      const yhRes = await fetch(yhUrl, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+          'Accept': 'application/json',
+        }
+      });
+      const body = await yhRes.text();
+      return new Response(body, { status: yhRes.status, headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
+    }
+
+    // ── VIX proxy route (GET /vix) ──────────────────────────────────────────
+    if (request.method === 'GET' && path === '/vix') {
       const vixRes = await fetch('https://cdn.cboe.com/api/global/delayed_quotes/charts/historical/_VIX.json');
       const vixBody = await vixRes.text();
       return new Response(vixBody, {
@@ -0,0 +1,167 @@
+// ─── Data Health ──────────────────────────────────────────────────────────────
+// What the shared loader (positions.js) dropped or patched, so bad rows stop
+// skewing notionals unnoticed: rejected rows with their reason, premiums
+// estimated from the current premium, duplicate prints, and symbols still in
+// fetch_failures.json. Every row links to premium-entry.html filtered to it.
+// ──────────────────────────────────────────────────────────────────────────────
+
+// ── Report ────────────────────────────────────────────────────────────────────
+
+// Same contract, trade date, size and premium — almost always a double export
+function duplicateKey(p) {
+  return [p.symbol, p.type, p.strike, dateToStr(p.expiry), dateToStr(p.tradeDate), p.contracts, p.originalPremium].join('|');
+}
+
+async function fetchFetchFailures() {
+  try {
+    const res = await fetch('./fetch_failures.json');
+    return res.ok ? await res.json() : [];
+  } catch {
+    return [];
+  }
+}
+
+// Issues as display rows: { symbol, type, strike, expiry, tradeDate, contracts,
+// issue, cls, mv } — expiry / tradeDate as 'YYYY-MM-DD' or the raw value when it
+// did not parse.
+async function buildHealthReport() {
+  const [{ positions, rejected }, failures] = await Promise.all([loadPositions(), fetchFetchFailures()]);
+  const day = (raw, parsed) => (parsed ? dateToStr(parsed) : String(raw ?? ''));
+
+  const issues = rejected.map(({ row, reason }) => ({
+    symbol:    String(row.symbol ?? '').trim().toUpperCase(),
+    type:      String(row.type ?? 'put').toLowerCase(),
+    strike:    String(row.strike ?? ''),
+    expiry:    day(row.expiry, parseDate(row.expiry)),
+    tradeDate: day(row.trade_date, parseDate(row.trade_date)),
+    contracts: row.contracts,
+    issue:     reason,
+    cls:       'rejected',
+    mv:        0,
+  }));
+
+  const row = (p, issue, cls) => ({
+    symbol: p.symbol, type: p.type, strike: String(p.strike),
+    expiry: dateToStr(p.expiry), tradeDate: dateToStr(p.tradeDate), contracts: p.contracts,
+    issue, cls, mv: p.notional,
+  });
+  for (const p of positions) {
+    if (p.premiumEstimated) issues.push(row(p, 'premium estimated from current premium', 'estimated'));
+  }
+
+  // One row per duplicated print; mv is the notional its extra copies add
+  const copies = new Map(); // duplicateKey → [position]
+  for (const p of positions) {
+    const key = duplicateKey(p);
+    if (!copies.has(key)) copies.set(key, []);
+    copies.get(key).push(p);
+  }
+  for (const [first, ...extra] of copies.values()) {
+    if (!extra.length) continue;
+    issues.push({ ...row(first, `duplicate print ×${extra.length + 1}`, 'duplicate'), mv: first.notional * extra.length });
+  }
+
+  const failed = new Map(); // symbol → [expiry]
+  for (const [symbol, expiry] of failures) {
+    const sym = String(symbol ?? '').trim().toUpperCase();
+    if (!failed.has(sym)) failed.set(sym, []);
+    failed.get(sym).push(expiry);
+  }
+
+  const byTicker = new Map();
+  const tally = sym => {
+    if (!byTicker.has(sym)) byTicker.set(sym, { symbol: sym, rows: 0, rejected: 0, estimated: 0, duplicate: 0, failures: 0 });
+    return byTicker.get(sym);
+  };
+  for (const p of positions) tally(p.symbol).rows++;
+  for (const i of issues)    tally(i.symbol)[i.cls]++;
+  for (const [sym, expiries] of failed) tally(sym).failures = expiries.length;
+
+  return { total: positions.length + rejected.length, issues, failed, byTicker };
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function premiumEntryUrl(params) {
+  const q = new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== ''));
+  return `premium-entry.html?${q}`;
+}
+
+function renderDataHealth(report) {
+  const { total, issues, failed, byTicker } = report;
+  const count  = cls => issues.filter(i => i.cls === cls).length;
+  const skewMv = issues.filter(i => i.cls === 'duplicate').reduce((s, i) => s + i.mv, 0);
+
+  document.getElementById('dh-summary').innerHTML = `
+    <span class="sum-pill total">${total.toLocaleString()} ROWS</span>
+    <span class="sum-pill dh-rejected">${count('rejected')} REJECTED</span>
+    <span class="sum-pill dh-estimated">${count('estimated')} ESTIMATED</span>
+    <span class="sum-pill dh-duplicate">${count('duplicate')} DUPLICATED · ${fmtMoney(skewMv)} DOUBLE-COUNTED</span>
+    <span class="sum-pill dh-failed">${failed.size} SYMBOLS IN FETCH_FAILURES</span>`;
+
+  const issueRows = issues
+    .sort((a, b) => a.symbol.localeCompare(b.symbol) || a.expiry.localeCompare(b.expiry))
+    .map(i => `<tr class="dh-row--${i.cls}">
+      <td><a href="#" class="dh-ticker" data-ticker="${escapeHtml(i.symbol)}">${escapeHtml(i.symbol) || '—'}</a></td>
+      <td class="${i.type === 'call' ? 'dh-call' : 'dh-put'}">${escapeHtml(i.type.toUpperCase())}</td>
+      <td>${escapeHtml(i.strike)}</td>
+      <td>${escapeHtml(i.expiry)}</td>
+      <td>${escapeHtml(i.tradeDate)}</td>
+      <td class="dh-num">${Number(i.contracts ?? 0).toLocaleString()}</td>
+      <td class="dh-issue">${escapeHtml(i.issue)}</td>
+      <td><a class="card-link" target="_blank" href="${escapeHtml(premiumEntryUrl({
+        ticker: i.symbol, expiry: i.expiry, trade: i.tradeDate, strike: i.strike, show: 'all' }))}">FIX →</a></td>
+    </tr>`).join('');
+  document.getElementById('dh-issues').innerHTML = issues.length
+    ? `<table class="dh-table">
+        <thead><tr><th>TICKER</th><th>TYPE</th><th>STRIKE</th><th>EXPIRY</th><th>TRADED</th>
+          <th class="dh-num">CONTRACTS</th><th>ISSUE</th><th></th></tr></thead>
+        <tbody>${issueRows}</tbody></table>`
+    : '<div class="sidebar-empty">No rejected, estimated or duplicated rows</div>';
+
+  const tickerRows = [...byTicker.values()]
+    .filter(t => t.rejected + t.estimated + t.duplicate + t.failures > 0)
+    .sort((a, b) => (b.rejected + b.estimated + b.duplicate + b.failures) - (a.rejected + a.estimated + a.duplicate + a.failures)
+      || a.symbol.localeCompare(b.symbol))
+    .map(t => `<tr>
+      <td><a href="#" class="dh-ticker" data-ticker="${escapeHtml(t.symbol)}">${escapeHtml(t.symbol)}</a></td>
+      <td class="dh-num">${t.rows}</td>
+      <td class="dh-num">${t.rejected || ''}</td>
+      <td class="dh-num">${t.estimated || ''}</td>
+      <td class="dh-num">${t.duplicate || ''}</td>
+      <td>${(failed.get(t.symbol) ?? []).map(exp =>
+        `<a class="card-link" target="_blank" href="${escapeHtml(premiumEntryUrl({ ticker: t.symbol, expiry: exp, show: 'all' }))}">${escapeHtml(exp)}</a>`).join(' ')}</td>
+      <td><a class="card-link" target="_blank" href="${escapeHtml(premiumEntryUrl({ ticker: t.symbol, show: 'all' }))}">FIX →</a></td>
+    </tr>`).join('');
+  document.getElementById('dh-tickers').innerHTML = tickerRows
+    ? `<table class="dh-table">
+        <thead><tr><th>TICKER</th><th class="dh-num">ROWS</th><th class="dh-num">REJ</th>
+          <th class="dh-num">EST</th><th class="dh-num">DUP</th><th>FETCH FAILURES</th><th></th></tr></thead>
+        <tbody>${tickerRows}</tbody></table>`
+    : '';
+
+  // Tab badge — rows that need a fix
+  const badge = document.getElementById('dh-badge');
+  badge.textContent = issues.length || '';
+  badge.hidden      = !issues.length;
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    renderDataHealth(await buildHealthReport());
+  } catch (err) {
+    document.getElementById('dh-issues').innerHTML = `<div class="sidebar-empty">${err.message}</div>`;
+    console.error(err);
+  }
+
+  // Ticker links open the chart tab
+  document.getElementById('sec04-body').addEventListener('click', e => {
+    const link = e.target.closest('a.dh-ticker');
+    if (!link) return;
+    e.preventDefault();
+    document.querySelector('.tab-btn[data-tab=chart]').click();
+    load(link.dataset.ticker);
+  });
+});
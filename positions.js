@@ -0,0 +1,408 @@
+// ─── Positions ────────────────────────────────────────────────────────────────
+// One loader and one position model for the chart and signals tabs. Loaded
+// before app.js and signals.js; positions.json is fetched once per page and
+// every row is parsed the same way — spreads, dates and premiums — whichever
+// tab reads it.
+// ──────────────────────────────────────────────────────────────────────────────
+
+// ── Date parsing ──────────────────────────────────────────────────────────────
+
+function parseDate(raw) {
+  if (raw == null) return null;
+  const s = String(raw).trim();
+
+  // MM/DD/YYYY or M/D/YYYY
+  const mdy = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (mdy) {
+    let yr = +mdy[3];
+    if (yr < 100) yr += 2000;
+    return new Date(yr, +mdy[1] - 1, +mdy[2]);
+  }
+
+  // YYYY-MM-DD — treat as local (not UTC) to avoid off-by-one
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3]);
+
+  // Fallback: native parse, normalise to local midnight
+  const d = new Date(s);
+  if (!isNaN(d)) return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  return null;
+}
+
+// ── Multi-leg strikes ─────────────────────────────────────────────────────────
+// A strike with "/" describes a structure, one leg per segment:
+//
+//   [+|-][<n>x]<strike>[C|P][@YYYY-MM-DD]
+//
+//   140/230C               vertical — a C/P covers the bare legs before it
+//   95P/110C               collar — put bought, call sold
+//   -95P/+110C             risk reversal — put sold, call bought
+//   100/105/110C           butterfly — the body is 2x unless a ratio is written
+//   90/95P/105/110C        iron condor
+//   100/2x90P              ratio spread
+//   100C@2026-06-19/100C   calendar — legs without @ expire on the row's expiry
+//
+// Legs with no C/P at all take the row's type. A bought leg has a positive
+// ratio, a sold one a negative ratio. When every leg is written with a sign
+// the signs stand; otherwise the sides come from inferLegSides.
+
+const LEG_RE = /^([+-])?(?:(\d+)\s*x\s*)?(\d+(?:\.\d+)?)\s*([CP])?(?:@(\d{4}-\d{2}-\d{2}))?$/i;
+
+// Badge text per structure, and per linked put/call kind (aggregateBlocks)
+const STRUCTURE_LABELS = {
+  single:        '',
+  vertical:      'SPREAD',
+  ratio:         'RATIO',
+  collar:        'COLLAR',
+  butterfly:     'BUTTERFLY',
+  condor:        'CONDOR',
+  iron_condor:   'IRON CONDOR',
+  calendar:      'CALENDAR',
+  diagonal:      'DIAGONAL',
+  custom:        'MULTI-LEG',
+  risk_reversal: 'RISK REVERSAL',
+  synthetic:     'SYNTHETIC',
+};
+
+// Structure name from legs with unsigned ratios (see STRUCTURE_LABELS). A
+// put/call pair comes back as 'collar' until its sides are known; parseLegs
+// then names it with putCallKind.
+function legStructure(legs) {
+  if (legs.length === 1) return 'single';
+  if (new Set(legs.map(l => +l.expiry)).size > 1) {
+    return new Set(legs.map(l => l.strike)).size === 1 ? 'calendar' : 'diagonal';
+  }
+  const calls = legs.filter(l => l.type === 'call').length;
+  if (calls && calls < legs.length) {
+    if (legs.length === 2) return 'collar';
+    if (legs.length === 4 && calls === 2) return 'iron_condor';
+    return 'custom';
+  }
+  if (legs.length === 2) return legs[0].ratio === legs[1].ratio ? 'vertical' : 'ratio';
+  if (legs.length === 3) return 'butterfly';
+  if (legs.length === 4) return 'condor';
+  return 'custom';
+}
+
+// Signed put leg + signed call leg → risk_reversal, collar or synthetic, the
+// same way for a two-leg row and for two linked blocks (aggregateBlocks).
+function putCallKind(put, call) {
+  if (put.strike === call.strike) return 'synthetic';
+  return put.ratio < 0 ? 'risk_reversal' : 'collar';
+}
+
+// +1 bought / −1 sold per leg (legs in ascending strike order), for a
+// structure opened for a net debit; a net credit flips every side.
+//   vertical       calls: long the lower strike · puts: long the upper strike
+//   butterfly,     long the wings, short the body
+//   condor
+//   iron condor    short the body, long the wings (credit is the usual case)
+//   calendar,      short the front month, long the back month
+//   diagonal
+//   ratio          short the leg with more contracts, whatever the net
+//   collar         long the put, short the call, whatever the net
+//   custom         long every leg
+function inferLegSides(legs, structure, credit) {
+  const flip  = credit ? -1 : 1;
+  const last  = legs.length - 1;
+  const front = Math.min(...legs.map(l => +l.expiry));
+  switch (structure) {
+    case 'vertical':
+      return legs.map((l, i) => flip * ((l.type === 'call') === (i === 0) ? 1 : -1));
+    case 'butterfly':
+    case 'condor':
+      return legs.map((l, i) => flip * (i === 0 || i === last ? 1 : -1));
+    case 'iron_condor':
+      return legs.map((l, i) => -flip * (i === 0 || i === last ? 1 : -1));
+    case 'calendar':
+    case 'diagonal':
+      return legs.map(l => flip * (+l.expiry === front ? -1 : 1));
+    case 'ratio': {
+      const most = Math.max(...legs.map(l => l.ratio));
+      return legs.map(l => (l.ratio === most ? -1 : 1));
+    }
+    case 'collar':
+      return legs.map(l => (l.type === 'put' ? 1 : -1));
+    default:
+      return legs.map(() => flip);
+  }
+}
+
+// Strike string → { legs, structure }, legs as [{ type, strike, expiry, ratio }]
+// in ascending strike (then expiry) order; null when a segment does not parse.
+function parseLegs(strikeRaw, rowType, rowExpiry, credit) {
+  const legs = [];
+  let bare   = []; // legs still waiting for a C/P
+  for (const seg of strikeRaw.split('/')) {
+    const m = seg.trim().match(LEG_RE);
+    if (!m) return null;
+    const leg = {
+      type:   null,
+      strike: parseFloat(m[3]),
+      expiry: m[5] ? parseDate(m[5]) : rowExpiry,
+      ratio:  m[2] ? parseInt(m[2]) : 1,
+      sign:   m[1] ? (m[1] === '-' ? -1 : 1) : 0,
+      sized:  !!m[2],
+    };
+    if (!(leg.ratio > 0)) return null;
+    legs.push(leg);
+    bare.push(leg);
+    if (m[4]) {
+      const type = m[4].toUpperCase() === 'C' ? 'call' : 'put';
+      bare.forEach(l => { l.type = type; });
+      bare = [];
+    }
+  }
+  bare.forEach(l => { l.type = rowType; });
+  legs.sort((a, b) => a.strike - b.strike || a.expiry - b.expiry);
+
+  const structure = legStructure(legs);
+  if (structure === 'butterfly' && !legs.some(l => l.sized)) legs[1].ratio = 2;
+  const sides = legs.every(l => l.sign)
+    ? legs.map(l => l.sign)
+    : inferLegSides(legs, structure, credit);
+  const signed = legs.map((l, i) => ({ type: l.type, strike: l.strike, expiry: l.expiry, ratio: sides[i] * l.ratio }));
+  return {
+    legs:      signed,
+    structure: structure === 'collar'
+      ? putCallKind(signed.find(l => l.type === 'put'), signed.find(l => l.type === 'call'))
+      : structure,
+  };
+}
+
+// ── Position model ────────────────────────────────────────────────────────────
+// {
+//   symbol, type ('put' | 'call'),
+//   strike,                  number; the raw string ("140/230C") for multi-leg
+//   legs,                    [{ type, strike, expiry, ratio }] — one entry for
+//                            a single leg; ratio is signed, + bought / − sold
+//                            (a single leg's side comes from the row's side,
+//                            'buy' / 'sell', else put sold / call bought)
+//   structure,               key of STRUCTURE_LABELS
+//   leg1Strike, leg2Strike,  multi-leg only: lowest and highest leg strike
+//   leg1Premium, leg2Premium, netLabel,
+//   isSpread,                more than one leg
+//   isCalendar,              legs expire on different dates
+//   expiry,                  the last leg's expiry
+//   tradeDate (local-midnight Dates), contracts,
+//   originalPremium,         per share — net_premium for spreads
+//   currentPremium,
+//   premiumEstimated,        true when original_premium was missing and the
+//                            current premium stood in for it
+//   notional,                contracts × originalPremium × 100
+//   ema21d, price,           per-symbol snapshot written by fetch_ema.py, or null
+//   prints, link,            set by aggregateBlocks, see below
+// }
+
+// Single price for a position: the strike, or the midpoint of a spread's legs.
+function strikeRef(p) {
+  return p.isSpread ? (p.leg1Strike + p.leg2Strike) / 2 : p.strike;
+}
+
+// Share of the position's notional each leg carries, by contract count — a
+// butterfly's body holds half, each wing a quarter.
+function legWeights(p) {
+  const total = p.legs.reduce((s, l) => s + Math.abs(l.ratio), 0);
+  return p.legs.map(l => Math.abs(l.ratio) / total);
+}
+
+// One raw positions.json row → { position } or { reason } when it cannot be used.
+function parsePosition(row) {
+  const symbol = String(row.symbol ?? '').trim().toUpperCase();
+  if (!symbol) return { reason: 'missing symbol' };
+
+  const type      = String(row.type ?? 'put').toLowerCase() === 'call' ? 'call' : 'put';
+  const strikeRaw = String(row.strike ?? '');
+  const spread    = strikeRaw.includes('/');
+
+  const rowExpiry = parseDate(row.expiry);
+  const tradeDate = parseDate(row.trade_date);
+  if (!rowExpiry) return { reason: `bad expiry "${row.expiry ?? ''}"` };
+  if (!tradeDate) return { reason: `bad trade date "${row.trade_date ?? ''}"` };
+
+  let strike, legs, structure = 'single';
+  if (spread) {
+    const parsed = parseLegs(strikeRaw, type, rowExpiry, /credit/i.test(row.net_label ?? ''));
+    if (!parsed) return { reason: `unparseable spread strike "${strikeRaw}"` };
+    ({ legs, structure } = parsed);
+    strike = strikeRaw;
+  } else {
+    strike = parseFloat(strikeRaw);
+    if (!isFinite(strike)) return { reason: `unparseable strike "${strikeRaw}"` };
+    // Flow convention: a lone put was sold, a lone call bought — unless the
+    // row's side says otherwise
+    const side = String(row.side ?? '').toLowerCase();
+    const long = ['buy', 'bought', 'long'].includes(side) ? true
+      : ['sell', 'sold', 'short'].includes(side) ? false
+      : type === 'call';
+    legs = [{ type, strike, expiry: rowExpiry, ratio: long ? 1 : -1 }];
+  }
+
+  if (legs.some(l => l.expiry <= tradeDate)) return { reason: 'expiry on or before trade date' };
+  const expiry = new Date(Math.max(...legs.map(l => +l.expiry)));
+
+  const contracts = parseInt(row.contracts);
+  if (!isFinite(contracts) || contracts <= 0) return { reason: `bad contracts "${row.contracts ?? ''}"` };
+
+  // Spreads are sized by their net premium; single legs by the premium paid or
+  // received, falling back to the current premium when the original is missing.
+  const positive = v => (isFinite(parseFloat(v)) && parseFloat(v) > 0 ? parseFloat(v) : null);
+  const origRaw  = spread ? positive(row.net_premium ?? row.original_premium) : positive(row.original_premium);
+  const curr     = positive(row.current_premium ?? row.premium);
+  const orig     = origRaw ?? (spread ? null : curr);
+  if (orig == null) return { reason: 'no premium' };
+
+  return {
+    position: {
+      symbol,
+      type,
+      strike,
+      legs,
+      structure,
+      leg1Strike:       spread ? legs[0].strike : undefined,
+      leg2Strike:       spread ? Math.max(...legs.map(l => l.strike)) : undefined,
+      isSpread:         spread,
+      isCalendar:       structure === 'calendar' || structure === 'diagonal',
+      netLabel:         spread ? row.net_label ?? '' : undefined,
+      leg1Premium:      spread ? parseFloat(row.leg1_premium) : undefined,
+      leg2Premium:      spread ? parseFloat(row.leg2_premium) : undefined,
+      expiry,
+      tradeDate,
+      contracts,
+      originalPremium:  orig,
+      currentPremium:   curr ?? NaN,
+      premiumEstimated: origRaw == null,
+      notional:         contracts * orig * 100,
+      ema21d:           row.ema_21d != null ? parseFloat(row.ema_21d) : null,
+      price:            row.price   != null ? parseFloat(row.price)   : null,
+    },
+  };
+}
+
+// ── Blocks and linked structures ───────────────────────────────────────────────
+// The same contract is often printed over several rows on one day, and a put
+// sale and call buy arrive as separate rows. aggregateBlocks folds each set of
+// same-day, same-contract rows into one block position — contracts and
+// notional summed, premiums contract-weighted, the source positions kept in
+// prints — then links single-leg put and call blocks printed on the same day
+// for the same expiry, pairing the closest contract counts:
+//
+//   risk_reversal  put sold, call bought
+//   collar         put bought, call sold
+//   synthetic      either, at one strike
+//
+// Each link is { kind, put, call } and both members carry it as link.
+// Linking is a heuristic: the feed does not say two prints were one order, so
+// a pair is only a guess from timing, expiry and size. Blocks whose contract
+// counts differ by more than LINK_SIZE_TOLERANCE stay unlinked.
+
+const LINK_SIZE_TOLERANCE = 0.2; // max |Δcontracts| / larger block
+
+function sizesMatch(a, b) {
+  return Math.abs(a.contracts - b.contracts) <= LINK_SIZE_TOLERANCE * Math.max(a.contracts, b.contracts);
+}
+
+function blockKey(p) {
+  return [p.symbol, p.type, p.strike, +p.expiry, +p.tradeDate,
+    p.legs.map(l => Math.sign(l.ratio)).join('')].join('|');
+}
+
+// Contract-weighted mean of one premium field over the prints that have it
+function weightedPremium(prints, field) {
+  const have = prints.filter(p => isFinite(p[field]));
+  const n    = have.reduce((s, p) => s + p.contracts, 0);
+  return n ? have.reduce((s, p) => s + p[field] * p.contracts, 0) / n : NaN;
+}
+
+function mergePrints(prints) {
+  if (prints.length === 1) return { ...prints[0], prints };
+  const contracts = prints.reduce((s, p) => s + p.contracts, 0);
+  const notional  = prints.reduce((s, p) => s + p.notional, 0);
+  return {
+    ...prints[0],
+    contracts,
+    notional,
+    originalPremium:  notional / (contracts * 100),
+    currentPremium:   weightedPremium(prints, 'currentPremium'),
+    leg1Premium:      prints[0].isSpread ? weightedPremium(prints, 'leg1Premium') : undefined,
+    leg2Premium:      prints[0].isSpread ? weightedPremium(prints, 'leg2Premium') : undefined,
+    premiumEstimated: prints.some(p => p.premiumEstimated),
+    prints,
+  };
+}
+
+// Positions (any symbols) → block positions, linked where they pair up.
+function aggregateBlocks(positions) {
+  const groups = new Map(); // blockKey → [position]
+  for (const p of positions) {
+    const key = blockKey(p);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  }
+  const blocks = [...groups.values()].map(mergePrints);
+
+  // Opposite sides only: a put sold pairs with a call bought and vice versa
+  const sameDay = new Map(); // symbol|trade date|expiry → { puts, calls }
+  for (const b of blocks) {
+    if (b.isSpread) continue;
+    const key = `${b.symbol}|${+b.tradeDate}|${+b.expiry}`;
+    if (!sameDay.has(key)) sameDay.set(key, { puts: [], calls: [] });
+    sameDay.get(key)[b.type === 'call' ? 'calls' : 'puts'].push(b);
+  }
+  for (const { puts, calls } of sameDay.values()) {
+    for (const put of [...puts].sort((a, b) => b.notional - a.notional)) {
+      const call = calls
+        .filter(c => !c.link && Math.sign(c.legs[0].ratio) !== Math.sign(put.legs[0].ratio) && sizesMatch(put, c))
+        .sort((a, b) => Math.abs(a.contracts - put.contracts) - Math.abs(b.contracts - put.contracts))[0];
+      if (!call) continue;
+      put.link = call.link = { kind: putCallKind(put.legs[0], call.legs[0]), put, call };
+    }
+  }
+  return blocks;
+}
+
+// Net premium of a link in dollars — positive when paid (a net debit)
+function linkNet(link) {
+  return [link.put, link.call].reduce((s, p) => s + Math.sign(p.legs[0].ratio) * p.notional, 0);
+}
+
+// Members of a sidebar / label unit: both legs of a link, or the one position
+function unitMembers(u) {
+  return u.put ? [u.put, u.call] : [u];
+}
+
+// ── Loader ────────────────────────────────────────────────────────────────────
+
+let _positionsLoad = null; // Promise → { positions, rejected }, shared by both tabs
+
+// Every parsed position (active and expired, all symbols) plus the rows that
+// were dropped, as [{ row, reason }]. Goes through the IndexedDB copy in
+// cache.js, so the last download still loads offline. A failed load is not
+// memoized, so the next caller retries.
+function loadPositions() {
+  _positionsLoad ??= (async () => {
+    const text = await cachedPositionsText(async () => {
+      const res = await fetch('./positions.json');
+      if (!res.ok) {
+        if (res.status === 404) {
+          throw new Error('positions.json not found — run fetch_premiums.py first');
+        }
+        throw new Error(`Failed to load positions.json: HTTP ${res.status}`);
+      }
+      return res.text();
+    });
+
+    const positions = [];
+    const rejected  = [];
+    for (const row of JSON.parse(text)) {
+      const { position, reason } = parsePosition(row);
+      if (position) positions.push(position);
+      else rejected.push({ row, reason });
+    }
+    return { positions, rejected };
+  })().catch(err => {
+    _positionsLoad = null;
+    throw err;
+  });
+  return _positionsLoad;
+}
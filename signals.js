@@ -1,22 +1,7 @@
 // ─── Signals Page ─────────────────────────────────────────────────────────────
 
 // ── Date utilities ─────────────────────────────────────────────────────────────
-
-function parseDate(raw) {
-  if (raw == null) return null;
-  const s = String(raw).trim();
-  const mdy = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
-  if (mdy) {
-    let yr = +mdy[3];
-    if (yr < 100) yr += 2000;
-    return new Date(yr, +mdy[1] - 1, +mdy[2]);
-  }
-  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3]);
-  const d = new Date(s);
-  if (!isNaN(d)) return new Date(d.getFullYear(), d.getMonth(), d.getDate());
-  return null;
-}
+// parseDate and the position model live in positions.js, loaded first.
 
 function fmtDate(d) {
   return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
@@ -57,6 +42,79 @@ function calcEMA(closes, period) {
   return ema;
 }
 
+// ── Support zones ──────────────────────────────────────────────────────────────
+// Put strikes sold near one another — across positions and expiries — mark a
+// level the flow is defending. Strikes are walked in ascending order and join
+// the open zone while they sit within zoneThreshold() of its top. The
+// threshold is a share of the price so a $2 gap clusters on a $40 name but not
+// on a $900 one, floored at the usual listed strike step. Shared by the chart
+// (shaded bands) and signal scoring.
+
+const ZONE_WIDTH_PCT     = 0.025; // cluster width as a share of the reference price
+const ZONE_MIN_PRINTS    = 2;     // a single print is a strike line, not a zone
+const ZONE_SIGNAL_PRINTS = 3;     // a zone scores in signals with this many prints
+const ZONE_SIGNAL_DATES  = 2;     // … spread over this many distinct trade dates
+
+function zoneThreshold(price) {
+  const step = price < 25 ? 0.5 : price < 200 ? 1 : 5;
+  return Math.max(price * ZONE_WIDTH_PCT, step);
+}
+
+// Cluster input for put positions: one point per put leg, carrying its share
+// of the position's notional (legWeights) — a collar's call leg is left out.
+function zonePoints(puts) {
+  return puts.flatMap(p => {
+    const mv = p.contracts * p.originalPremium * 100;
+    const w  = legWeights(p);
+    return p.legs
+      .map((l, i) => ({ strike: l.strike, type: l.type, notional: mv * w[i], tradeDate: p.tradeDate }))
+      .filter(pt => pt.type === 'put');
+  });
+}
+
+// points: [{ strike, notional, tradeDate }]. refPrice falls back to the
+// notional-weighted mean strike when no quote is available.
+// Returns zones strongest first; weight = notional × distinct trade dates, so
+// a level re-sold on several days outranks one large single-day print.
+function clusterSupportZones(points, refPrice) {
+  const pts = points.filter(p => isFinite(p.strike) && p.notional > 0)
+    .sort((a, b) => a.strike - b.strike);
+  if (!pts.length) return [];
+
+  const total = pts.reduce((s, p) => s + p.notional, 0);
+  const price = refPrice > 0 ? refPrice : pts.reduce((s, p) => s + p.strike * p.notional, 0) / total;
+  const gap   = zoneThreshold(price);
+
+  const groups = [];
+  for (const p of pts) {
+    const open = groups[groups.length - 1];
+    if (open && p.strike - open[open.length - 1].strike <= gap) open.push(p);
+    else groups.push([p]);
+  }
+
+  return groups
+    .filter(g => g.length >= ZONE_MIN_PRINTS)
+    .map(g => {
+      const notional = g.reduce((s, p) => s + p.notional, 0);
+      const dates    = new Set(g.map(p => p.tradeDate?.toDateString()).filter(Boolean)).size;
+      return {
+        low:    g[0].strike,
+        high:   g[g.length - 1].strike,
+        center: g.reduce((s, p) => s + p.strike * p.notional, 0) / notional,
+        notional,
+        prints: g.length,
+        dates,
+        weight: notional * Math.max(1, dates),
+      };
+    })
+    .sort((a, b) => b.weight - a.weight);
+}
+
+// True for a zone strong enough to fire the support-zone trigger and boost.
+function isSignalZone(zone) {
+  return !!zone && zone.prints >= ZONE_SIGNAL_PRINTS && zone.dates >= ZONE_SIGNAL_DATES;
+}
+
 // ── VIX fetch (CBOE delayed) ───────────────────────────────────────────────────
 let _vixCache = null;
 async function fetchVIX() {
@@ -92,28 +150,34 @@ function vixCallParams(vix) {
 //   Price above EMA           → +20% boost  · maStatus = 'above'
 //   Price below EMA           → −20% penalty · maStatus = 'below'
 
-async function fetchMAContext(sig) {
+// 90 daily closes, cached per ticker for the day (cache.js) so reloading the
+// signals tab does not refetch every candidate.
+async function fetchMACloses(ticker) {
   const now   = Math.floor(Date.now() / 1000);
   const start = now - 90 * 24 * 3600;  // 90 days is enough for a reliable 21D EMA
   const end   = now + 2  * 24 * 3600;
 
-  const target = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(sig.ticker)}` +
+  const target = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}` +
                  `?period1=${start}&period2=${end}&interval=1d`;
   const url = CONFIG.CORS_PROXY + encodeURIComponent(target);
   const res = await fetch(url, { signal: AbortSignal.timeout(15_000) });
-  if (!res.ok) return null;
+  if (!res.ok) throw new Error(`MA price data HTTP ${res.status}`);
 
   const json   = await res.json();
   const result = json.chart?.result?.[0];
-  if (!result) return null;
+  if (!result) throw new Error(`No MA price data for "${ticker}"`);
 
   const timestamps = result.timestamp ?? [];
   const q          = result.indicators?.quote?.[0] ?? {};
-  const bars       = timestamps
+  return timestamps
     .map((t, i) => ({ time: new Date(t * 1000), close: q.close?.[i] }))
     .filter(d => d.close != null && isFinite(d.close));
+}
 
-  if (bars.length < 22) return null;
+async function fetchMAContext(sig) {
+  const bars = await cachedBars(`${sig.ticker}|1d-90`, '1d', () => fetchMACloses(sig.ticker), 'ma')
+    .catch(() => null);
+  if (!bars || bars.length < 22) return null;
 
   const closes     = bars.map(d => d.close);
   const lastClose  = closes[closes.length - 1];
@@ -152,9 +216,8 @@ async function fetchMAContext(sig) {
 // ── Signal analysis ────────────────────────────────────────────────────────────
 
 async function loadSignals() {
-  const res = await fetch('./positions.json');
-  if (!res.ok) throw new Error('positions.json not found — run fetch_premiums.py first');
-  const all = await res.json();
+  // Every parsed position, active and expired — same model as the chart tab
+  const { positions: all } = await loadPositions();
 
   // ── Fetch live VIX for dynamic dep penalty ───────────────────────────────
   const currentVIX = await fetchVIX();
@@ -165,8 +228,7 @@ async function loadSignals() {
   // date (not calendar today) keeps weekend runs correct.
   let dataToday = null;
   for (const p of all) {
-    const td = parseDate(p.trade_date);
-    if (td && (!dataToday || td > dataToday)) dataToday = td;
+    if (!dataToday || p.tradeDate > dataToday) dataToday = p.tradeDate;
   }
   const dataDay1 = dataToday ? prevTradingDay(dataToday, 1) : null;
   const dataDay2 = dataToday ? prevTradingDay(dataToday, 2) : null;
@@ -178,9 +240,8 @@ async function loadSignals() {
   // plus earliest-ever trade date and total prior-appearance count.
   const tickerMeta = {};
   for (const p of all) {
-    const sym = String(p.symbol ?? '').trim().toUpperCase();
-    const td  = parseDate(p.trade_date);
-    if (!sym || !td) continue;
+    const sym = p.symbol;
+    const td  = p.tradeDate;
     if (!tickerMeta[sym]) tickerMeta[sym] = {
       d0: false, d1: false, d2: false, d3: false, d4: false,
       minTradeDate: td,
@@ -207,9 +268,8 @@ async function loadSignals() {
   const posEma   = {};
   const posPrice = {};
   for (const p of all) {
-    const sym = String(p.symbol ?? '').trim().toUpperCase();
-    if (sym && p.ema_21d != null && !posEma[sym])   posEma[sym]   = parseFloat(p.ema_21d);
-    if (sym && p.price   != null && !posPrice[sym]) posPrice[sym] = parseFloat(p.price);
+    if (p.ema21d != null && !posEma[p.symbol])   posEma[p.symbol]   = p.ema21d;
+    if (p.price  != null && !posPrice[p.symbol]) posPrice[p.symbol] = p.price;
   }
 
   // ── Date windows ────────────────────────────────────────────────────────────
@@ -218,40 +278,14 @@ async function loadSignals() {
   const sevenDaysAgo = new Date(today);
   sevenDaysAgo.setDate(today.getDate() - 7);
 
-  // ── Parse + validate active positions ───────────────────────────────────────
+  // ── Active positions ────────────────────────────────────────────────────────
+  // The loader has already validated strikes, dates, contracts and premiums.
+  // Scoring compares strikes with prices, so a multi-leg position is scored at
+  // the midpoint of its outer legs (strikeRef); legs, structure, isSpread and
+  // isCalendar stay on the row.
   const active = all
-    .filter(p => {
-      const expiry    = parseDate(p.expiry);
-      const tradeDate = parseDate(p.trade_date);
-      const contracts = parseInt(p.contracts);
-      return (
-        expiry && tradeDate &&
-        expiry > prevTradingDay(today, 1) &&
-        expiry > tradeDate &&
-        isFinite(contracts) && contracts > 0
-      );
-    })
-    .map(p => {
-      const orig      = parseFloat(p.original_premium ?? p.current_premium ?? p.premium);
-      const contracts = parseInt(p.contracts) || 0;
-      const rawStrike = String(p.strike ?? '');
-      const strikeNum = rawStrike.includes('/')
-        ? parseFloat(rawStrike.split('/')[0])
-        : parseFloat(rawStrike);
-      const hasPremium  = isFinite(orig) && orig > 0;
-      const premiumUsed = hasPremium ? orig : (isFinite(strikeNum) ? strikeNum * 0.03 : 0);
-      return {
-        type:             (p.type ?? 'put').toLowerCase(),
-        strike:           strikeNum,
-        expiry:           parseDate(p.expiry),
-        contracts,
-        originalPremium:  orig,
-        premiumEstimated: !hasPremium,
-        tradeDate:        parseDate(p.trade_date),
-        notional:         contracts * premiumUsed * 100,
-        symbol:           String(p.symbol ?? '').trim().toUpperCase(),
-      };
-    });
+    .filter(p => p.expiry > prevTradingDay(today, 1))
+    .map(p => ({ ...p, strike: strikeRef(p) }));
 
   // ── Group by ticker ──────────────────────────────────────────────────────────
   const byTicker = {};
@@ -441,6 +475,12 @@ async function loadSignals() {
     }
     if (hasZeroCost) tier1.push('zero_cost');
 
+    // T2.9  Support zone — the strongest put cluster at or below the current
+    //       price (or anywhere, with no quote) is a signal zone
+    const supportZone = clusterSupportZones(zonePoints(puts), currPrice)
+      .find(z => !currPrice || z.low <= currPrice) ?? null;
+    if (isSignalZone(supportZone)) tier2.push('support_zone');
+
     // ── DEPRIORITIZE — reduces weighted score by 50% if any trigger fires ─────
     const dep = [];
     if (daysActive <= 1)                                                   dep.push('one_day');
@@ -507,6 +547,7 @@ async function loadSignals() {
       isSameStrikeRR,
       isITMPutSale: currPrice ? puts.some(p => p.strike > currPrice) : false,
       isRolling,
+      supportZone,
       hasMegaBlock: allPos.some(p => p.contracts >= 10_000),
       hasExpiryLadder: uniqueExpiryMonths.size >= 3,
     });
@@ -522,8 +563,8 @@ async function loadSignals() {
       sig.isRiskReversal = sig.isRiskReversal ?? false;
       sig.isITMPutSale   = sig.isITMPutSale   ?? false;
       sig.isRolling      = sig.isRolling      ?? false;
-      sig.isSpread       = sig.puts.some(p => String(p.strike).includes('/')) ||
-                           sig.calls.some(p => String(p.strike).includes('/'));
+      sig.isSpread       = sig.puts.some(p => p.isSpread) || sig.calls.some(p => p.isSpread);
+      sig.isCalendar     = sig.puts.some(p => p.isCalendar) || sig.calls.some(p => p.isCalendar);
       sig.currPrice  = posPrice[ticker] ?? null;
       sig.priorCount = meta.priorCount ?? 0;
       applyLearnedScoring(sig, '');
@@ -717,6 +758,15 @@ function renderSignals(signals) {
   `;
   summary.hidden = false;
 
+  // Sector sweep → every swept name, for the chart tab's compare view (only
+  // on the combined page, where app.js provides openCompare)
+  const canCompare   = typeof openCompare === 'function';
+  const sweptTickers = s => {
+    const group = SECTOR_SWEEP_GROUPS.find(g => (s.tags || []).includes(g.name));
+    if (!group) return [];
+    return [...signals, ...events].filter(x => (x.tags || []).includes(group.name)).map(x => x.ticker);
+  };
+
   // ── Shared card template ──────────────────────────────────────────────────
   const makeCard = (s, rank) => {
     const badgeCls = s.badge === 'STRONG'  ? 'badge-strong'
@@ -751,6 +801,11 @@ function renderSignals(signals) {
     if (bestTag)     sigParts.push(bestTag);
     const sigLine  = sigParts.slice(0, 3).join(' · ');
 
+    const swept       = canCompare ? sweptTickers(s) : [];
+    const compareLink = swept.length >= 2
+      ? `<a class="card-link" href="#" data-compare="${swept.join(' ')}">Compare sweep →</a>`
+      : '';
+
     // Warning tags — calls only flags shown as red pills
     const warnTags = (s.tags || []).filter(t => t.startsWith('CALLS ONLY'));
     const warnHtml = warnTags.map(t =>
@@ -783,6 +838,7 @@ function renderSignals(signals) {
 
       <div class="card-footer">
         <div class="card-dates">${fmtDate(s.minTradeDate)} → ${fmtDate(s.maxExpiry)}</div>
+        ${compareLink}
         <a class="card-link" href="#" onclick="event.preventDefault(); document.querySelectorAll('.tab-btn').forEach(b=>b.classList.remove('tab-btn--active')); document.querySelectorAll('.tab-panel').forEach(p=>p.classList.remove('tab-panel--active')); document.querySelector('.tab-btn[data-tab=chart]').classList.add('tab-btn--active'); document.getElementById('tab-chart').classList.add('tab-panel--active'); document.getElementById('ticker-input').value='${s.ticker}'; load('${s.ticker}');">View chart →</a>
       </div>
     </div>`;
@@ -797,6 +853,12 @@ function renderSignals(signals) {
          <div class="sig-empty-sub">Check the Event Trade section below for short-dated flow.</div>
        </div>`;
 
+  grid.querySelectorAll('[data-compare]').forEach(a => a.addEventListener('click', e => {
+    e.preventDefault();
+    document.querySelector('.tab-btn[data-tab=chart]').click();
+    openCompare(a.dataset.compare.split(' '));
+  }));
+
   // ── Event trades section (separate, below main grid) ──────────────────────
   document.getElementById('event-wrap')?.remove(); // hidden until further notice
 
@@ -961,6 +1023,7 @@ function applyLearnedScoring(signal, analystNote = '') {
   if (signal.isRolling)      { score *= 1.40; tags.push('ROLLING HIGHER'); }
   if (signal.isSpread)       { tags.push('DEFINED RISK'); }
   if (signal.isCalendar)     { score *= 1.25; tags.push('CALENDAR STRUCTURE'); }
+  if (isSignalZone(signal.supportZone)) { score *= 1.15; tags.push('SUPPORT ZONE'); }
 
   // Same-strike risk reversal = synthetic long = maximum bullish conviction
   if (signal.isSameStrikeRR) {
@@ -0,0 +1,53 @@
+// ─── Service worker — offline app shell ───────────────────────────────────────
+// Network-first for the pages, scripts, styles and the chart library, falling
+// back to the last good copy so the app opens offline. Data is not handled
+// here: positions.json and price bars live in IndexedDB (cache.js), which
+// knows how old they are and says so on the data-age pill.
+// ──────────────────────────────────────────────────────────────────────────────
+
+const SHELL_CACHE = 'flow-shell-v1';
+const SHELL = [
+  './',
+  'index.html',
+  'signals.html',
+  'premium-entry.html',
+  'style.css',
+  'config.js',
+  'cache.js',
+  'positions.js',
+  'app.js',
+  'signals.js',
+  'health.js',
+  'https://unpkg.com/lightweight-charts@5.0.0/dist/lightweight-charts.standalone.production.js',
+];
+const SHELL_ORIGINS = [self.location.origin, 'https://unpkg.com', 'https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || !SHELL_ORIGINS.includes(url.origin)) return;
+  if (url.pathname.endsWith('/positions.json')) return; // IndexedDB, see cache.js
+
+  event.respondWith(
+    fetch(event.request)
+      .then(res => {
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put(event.request, copy));
+        }
+        return res;
+      })
+      .catch(() => caches.match(event.request, { ignoreSearch: true }).then(hit => hit ?? Response.error()))
+  );
+});